@@ -6,15 +6,131 @@
 import { v4 as uuidv4 } from 'uuid';
 import {
   analyzeAdvancedFairness,
+  analyzeTurnTaking,
+  calculateFairnessTrend,
   calculateFairnessScore,
-  detectLongTurn,
   calculateSpeakingPercentage,
 } from '../utils/fairnessMetrics.js';
+import { evaluateLongTurn } from '../utils/longTurnPolicy.js';
+import { HAND_KINDS, orderQueue } from '../utils/queueOrdering.js';
+import { ROLES, roleRank } from '../utils/permissions.js';
+import { assignBalanced } from '../utils/breakoutAssignment.js';
+
+/**
+ * Who becomes moderator when the moderator leaves
+ *   co_moderator_first - Longest-serving co-moderator, else the earliest-joined participant
+ *   co_moderator_only  - Longest-serving co-moderator, else the seat stays vacant
+ *   earliest_joined    - Earliest-joined participant or co-moderator
+ * Observers are never promoted automatically. A vacant seat can be reclaimed by the
+ * departed moderator's host token (see reinstateModerator).
+ */
+const HOST_SUCCESSION_POLICIES = ['co_moderator_first', 'co_moderator_only', 'earliest_joined'];
+
+/**
+ * Validation rules for configurable meeting settings
+ */
+const SETTING_RULES = {
+  longTurnThreshold: { type: 'number', min: 10, max: 3600 }, // seconds
+  quietInviteThreshold: { type: 'number', min: 30, max: 7200 }, // seconds
+  fairnessUpdateInterval: { type: 'number', min: 250, max: 60000 }, // milliseconds
+  quietDetectionEnabled: { type: 'boolean' },
+  quietInviteCooldown: { type: 'number', min: 60, max: 3600 }, // seconds between prompts per participant
+  autoInviteQuiet: { type: 'boolean' }, // Also nudge the quiet participant directly
+  longTurnCooldown: { type: 'number', min: 10, max: 1800 }, // seconds between long-turn escalations per participant
+  longTurnMaxLevel: { type: 'number', min: 1, max: 3 }, // 1 = hint, 2 = + moderator alert, 3 = + visible indicator
+  longTurnIncludeHost: { type: 'boolean' },
+  fairnessSnapshotInterval: { type: 'number', min: 5, max: 300 }, // seconds between timeline snapshots
+  rollingWindowSeconds: { type: 'number', min: 60, max: 3600 }, // window for rolling fairness metrics
+  liveNotesEnabled: { type: 'boolean' }, // Opt-in: maintain running AI notes during the meeting
+  liveNotesInterval: { type: 'number', min: 60, max: 1800 }, // seconds between live notes refreshes
+  speakingSlotSeconds: { type: 'number', min: 15, max: 1800 }, // slot length in timed and round-robin modes
+  autoAdvanceSlots: { type: 'boolean' }, // Hand the floor to the next in queue when a slot expires
+  equityQueue: { type: 'boolean' }, // Order new points by who has spoken least instead of hand-raise order
+  hostSuccession: { type: 'enum', values: HOST_SUCCESSION_POLICIES },
+};
+
+/**
+ * Validate a partial settings object against SETTING_RULES
+ * @throws {Error} On a non-object, empty object, unknown key or out-of-range value
+ */
+export function validateSettings(changes) {
+  if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+    throw new Error('Settings must be an object');
+  }
+
+  const entries = Object.entries(changes);
+  if (entries.length === 0) {
+    throw new Error('No settings provided');
+  }
+
+  for (const [key, value] of entries) {
+    const rule = SETTING_RULES[key];
+    if (!rule) {
+      throw new Error(`Unknown setting: ${key}`);
+    }
+    if (rule.type === 'number' && (typeof value !== 'number' || !Number.isFinite(value) || value < rule.min || value > rule.max)) {
+      throw new Error(`${key} must be a number between ${rule.min} and ${rule.max}`);
+    }
+    if (rule.type === 'boolean' && typeof value !== 'boolean') {
+      throw new Error(`${key} must be true or false`);
+    }
+    if (rule.type === 'enum' && !rule.values.includes(value)) {
+      throw new Error(`${key} must be one of: ${rule.values.join(', ')}`);
+    }
+  }
+}
+
+/**
+ * Queue turn modes
+ *   open        - Hand-raise queue managed by the moderator, no time limits
+ *   timed       - Hand-raise queue where each speaker gets a timed slot
+ *   round_robin - Go-around: everyone (except the moderator) is queued and gets a timed slot
+ */
+const TURN_MODES = ['open', 'timed', 'round_robin'];
+
+const MIN_OVERLAP_SECONDS = 0.5; // Shorter overlaps are voice-activity jitter, not real overlaps
+const MAX_TIMELINE_SNAPSHOTS = 2880; // 12 hours at the default 15s interval; older history is thinned out
+const MAX_TREND_SEGMENTS = 10;
+const MIN_TREND_SEGMENT_MS = 30000;
+
+const MAX_AGENDA_ITEMS = 50;
+const MAX_AGENDA_TITLE_LENGTH = 200;
+const AGENDA_TIMEBOX_RULE = { min: 30, max: 14400 }; // seconds
+const MAX_SLOT_EXTENSION = 1800; // seconds
+const AGENDA_WARNING_LEAD = 60; // seconds before the timebox ends to warn (capped at 20% of the timebox)
+const MAX_BREAKOUT_ROOMS = 20;
+const MAX_BREAKOUT_NAME_LENGTH = 60;
+const BREAKOUT_DURATION_RULE = { min: 60, max: 7200 }; // seconds
+const DEFAULT_BREAKOUT_DURATION = 600; // 10 minutes
+const BREAKOUT_WARNING_LEAD = 60; // seconds before breakout rooms close to warn them
+
+const QUIET_INVITE_MESSAGE = "We'd love to hear your perspective - feel free to jump in whenever you're ready.";
+
+/**
+ * Convert a serialized timestamp back to a Date (null stays null)
+ */
+function toDate(value) {
+  return value ? new Date(value) : null;
+}
+
+/**
+ * A breakout session without its room transcripts (which are only kept for the archive)
+ */
+function withoutTranscripts(session) {
+  return {
+    ...session,
+    rooms: session.rooms.map(({ transcript, ...room }) => room),
+  };
+}
 
 export class Meeting {
   constructor(code, hostId, hostName) {
     this.code = code;
     this.hostId = hostId;
+    this.title = null; // Display name: the scheduled title, or the room name for breakout rooms
+    this.parentCode = null; // Breakout rooms only: code of the main meeting
+    this.scheduledStart = null; // Scheduled meetings only: planned start time
+    this.expectedParticipants = []; // Scheduled meetings only: invite list [{name, email}]
     this.createdAt = new Date();
     this.startedAt = null;
     this.metricsStartedAt = null; // When metrics tracking started
@@ -22,6 +138,8 @@ export class Meeting {
     this.participants = new Map(); // Map<participantId, Participant> - active participants
     this.leftParticipants = new Map(); // Map<participantId, Participant> - participants who left early
     this.queue = []; // Array of participantIds in queue order
+    this.turnMode = 'open'; // One of TURN_MODES
+    this.speakingSlot = null; // Current timed slot: {participantId, participantName, startedAt, duration, endsAt, expiredAt, lastCountdown}
     this.analytics = {
       fairnessScore: 100,
       giniCoefficient: 0,
@@ -33,6 +151,20 @@ export class Meeting {
       longTurnThreshold: 60, // seconds
       quietInviteThreshold: 300, // 5 minutes
       fairnessUpdateInterval: 1000, // 1 second
+      quietDetectionEnabled: true,
+      quietInviteCooldown: 300, // 5 minutes
+      autoInviteQuiet: false,
+      longTurnCooldown: 30, // seconds
+      longTurnMaxLevel: 3,
+      longTurnIncludeHost: false,
+      fairnessSnapshotInterval: 15, // seconds
+      rollingWindowSeconds: 300, // 5 minutes
+      liveNotesEnabled: false,
+      liveNotesInterval: 180, // 3 minutes
+      speakingSlotSeconds: 120, // 2 minutes
+      autoAdvanceSlots: true,
+      equityQueue: false,
+      hostSuccession: 'co_moderator_first',
     };
     this.nudges = []; // Array of nudge objects
     this.chatMessages = []; // Lightweight meeting chat history
@@ -45,13 +177,141 @@ export class Meeting {
     };
     this.transcript = []; // Array of speaking turns: {participantId, participantName, startTime, endTime, duration, text}
     this.aiSummary = null; // AI-generated summary stored here
+    this.overlaps = []; // Overlapping speech: {id, interrupterId, interruptedId, startedAt, endedAt, duration, yieldedBy, isInterruption}
+    this.fairnessTimeline = []; // Periodic snapshots: {timestamp, speakingTimes: {participantId: seconds}, fairnessScore, rollingFairnessScore}
+    this.liveNotes = null; // Running AI notes: {decisions, openQuestions, actionItems, revision, updatedAt}
+    this.liveNotesCursor = []; // Characters of each transcript entry's text already folded into liveNotes
+    this.agenda = []; // Ordered items: {id, title, ownerId, ownerName, timebox, status, startedAt, endedAt, warnings}
+    this.breakout = null; // Open breakout rooms: {id, startedAt, duration, endsAt, warned, rooms: [{code, name, participantIds}]}
+    this.breakoutSessions = []; // Closed breakouts with per-room results and transcripts (see endBreakout)
+    this.onChange = null; // Set by MeetingService to write state changes through to storage
+    this.lastFairnessBroadcastAt = 0; // Runtime only - used by the live loop in server.js
+    this.lastQuietCheckAt = 0; // Runtime only - used by the live loop in server.js
+    this.lastFairnessSnapshotAt = 0; // Runtime only - used by the live loop in server.js
+    this.nextLiveNotesAt = 0; // Runtime only - used by the live loop in server.js
+    this.transcriptVersion = 0; // Runtime only - bumped on every transcript change; keys cached AI results
+    this.aiResultCache = new Map(); // Runtime only - event -> { version, promise } for on-demand AI requests
+    this.liveNotesInFlight = false; // Runtime only - a refresh is waiting on the AI provider
+  }
+
+  /**
+   * Notify the owner that meeting state changed (used for write-through persistence)
+   */
+  touch() {
+    if (this.onChange) {
+      this.onChange(this);
+    }
+  }
+
+  /**
+   * Serialize meeting state to a plain JSON-safe object
+   */
+  toJSON() {
+    return {
+      code: this.code,
+      hostId: this.hostId,
+      title: this.title,
+      parentCode: this.parentCode,
+      scheduledStart: this.scheduledStart,
+      expectedParticipants: this.expectedParticipants,
+      createdAt: this.createdAt,
+      startedAt: this.startedAt,
+      metricsStartedAt: this.metricsStartedAt,
+      endedAt: this.endedAt,
+      participants: Array.from(this.participants.values()),
+      leftParticipants: Array.from(this.leftParticipants.values()),
+      queue: this.queue,
+      turnMode: this.turnMode,
+      speakingSlot: this.speakingSlot,
+      analytics: this.analytics,
+      settings: this.settings,
+      nudges: this.nudges,
+      chatMessages: this.chatMessages,
+      icebreaker: this.icebreaker,
+      transcript: this.transcript,
+      aiSummary: this.aiSummary,
+      fairnessTimeline: this.fairnessTimeline,
+      overlaps: this.overlaps,
+      liveNotes: this.liveNotes,
+      liveNotesCursor: this.liveNotesCursor,
+      agenda: this.agenda,
+      breakout: this.breakout,
+      breakoutSessions: this.breakoutSessions,
+    };
+  }
+
+  /**
+   * Restore a meeting from a snapshot produced by toJSON()
+   * Live connection state (sockets, speaking) is reset - participants must reconnect
+   */
+  static fromJSON(data) {
+    const meeting = new Meeting(data.code, data.hostId);
+    meeting.title = data.title || null;
+    meeting.parentCode = data.parentCode || null;
+    meeting.scheduledStart = toDate(data.scheduledStart);
+    meeting.expectedParticipants = data.expectedParticipants || [];
+    meeting.createdAt = toDate(data.createdAt);
+    meeting.startedAt = toDate(data.startedAt);
+    meeting.metricsStartedAt = toDate(data.metricsStartedAt);
+    meeting.endedAt = toDate(data.endedAt);
+
+    const restoreParticipant = (p) => ({
+      ...p,
+      role: p.role || (p.isHost ? 'moderator' : 'participant'), // Snapshots from before roles existed
+      joinedAt: toDate(p.joinedAt),
+      leftAt: toDate(p.leftAt),
+      handRaisedAt: toDate(p.handRaisedAt),
+      socketId: null,
+      isSpeaking: false,
+      continuousSpeakingTime: 0,
+    });
+    for (const p of data.participants || []) {
+      meeting.participants.set(p.id, restoreParticipant(p));
+    }
+    for (const p of data.leftParticipants || []) {
+      meeting.leftParticipants.set(p.id, restoreParticipant(p));
+    }
+
+    meeting.queue = (data.queue || []).filter(id => meeting.participants.has(id));
+    meeting.updateQueuePositions();
+    meeting.turnMode = data.turnMode || 'open';
+    // A slot that expired while the server was down is advanced by the first live loop tick
+    meeting.speakingSlot = data.speakingSlot || null;
+    meeting.analytics = { ...meeting.analytics, ...data.analytics };
+    meeting.settings = { ...meeting.settings, ...data.settings };
+    meeting.nudges = (data.nudges || []).map(n => ({ ...n, sentAt: toDate(n.sentAt) }));
+    meeting.chatMessages = data.chatMessages || [];
+    meeting.icebreaker = { ...meeting.icebreaker, ...data.icebreaker };
+    meeting.transcript = (data.transcript || []).map(entry => ({
+      ...entry,
+      startTime: toDate(entry.startTime),
+      endTime: toDate(entry.endTime),
+    }));
+    meeting.aiSummary = data.aiSummary || null;
+    meeting.fairnessTimeline = data.fairnessTimeline || [];
+    // Overlaps still open at shutdown can't be resolved - nobody is speaking after a restart
+    meeting.overlaps = (data.overlaps || []).filter(o => o.endedAt);
+    meeting.liveNotes = data.liveNotes || null;
+    meeting.liveNotesCursor = data.liveNotesCursor || [];
+    meeting.agenda = (data.agenda || []).map(item => ({
+      ...item,
+      startedAt: toDate(item.startedAt),
+      endedAt: toDate(item.endedAt),
+    }));
+    // Rooms that run out while the server was down are recalled by the first live loop tick
+    meeting.breakout = data.breakout || null;
+    meeting.breakoutSessions = data.breakoutSessions || [];
+    return meeting;
   }
 
   /**
    * Add participant to meeting
    * If participant already exists (reconnection), restore their metrics
+   * @param {Object} [options]
+   * @param {boolean} [options.observer=false] - Join as an observer: receives room events but is
+   *   excluded from speaking metrics, the queue, nudges and quiet-participant detection
    */
-  addParticipant(participantId, name, socketId, isHost = false) {
+  addParticipant(participantId, name, socketId, isHost = false, { observer = false } = {}) {
     // Check if participant already exists (reconnection scenario)
     const existingParticipant = this.participants.get(participantId);
     
@@ -70,7 +330,9 @@ export class Meeting {
       id: participantId,
       name,
       socketId,
-      isHost,
+      isHost, // Always role === 'moderator'
+      role: isHost ? 'moderator' : (observer ? 'observer' : 'participant'), // One of ROLES (see utils/permissions.js)
+      roleChangedAt: null,
       joinedAt: new Date(),
       speakingTime: 0,
       continuousSpeakingTime: 0,
@@ -81,17 +343,31 @@ export class Meeting {
       inQueue: false,
       queuePosition: null,
       handRaisedAt: null,
+      handKind: null, // One of HAND_KINDS while in the queue
+      placedByModerator: false, // Queue position set by a manual reorder
+      queueReason: null, // Why the participant holds their queue position
+      queueFactors: null, // Equity inputs behind the position (equity mode only)
       turnCount: 0,
+      interruptionsMade: 0, // Overlaps this participant started where the floor holder yielded
+      interruptionsReceived: 0, // Overlaps where this participant yielded the floor
+      overlapTime: 0, // Seconds spent in overlapping speech
+      breakoutRoom: null, // Code of the breakout room the participant is currently in
+      breakoutReturnedAt: null, // Timestamp (ms) of their return from the last breakout
       avatar: this.generateAvatar(name),
     };
 
     this.participants.set(participantId, participant);
+    if (this.turnMode === 'round_robin' && participant.role === 'participant') {
+      this.addToQueue(participantId); // Late joiners take their turn at the end of the go-around
+    }
+    this.touch();
     return participant;
   }
 
   /**
    * Remove participant from meeting
    * Instead of deleting, move to leftParticipants to preserve their contributions
+   * @returns {Object|null} {successor, previousRole} when the moderator left and someone took over
    */
   removeParticipant(participantId) {
     const participant = this.participants.get(participantId);
@@ -104,6 +380,7 @@ export class Meeting {
     // Mark participant as left and preserve their data
     participant.leftAt = new Date();
     participant.isActive = false;
+    this.closeOverlaps(participant, Date.now()); // Leaving counts as yielding
     participant.isSpeaking = false; // Stop any speaking state
     participant.socketId = null; // Clear socket ID
     
@@ -111,14 +388,182 @@ export class Meeting {
     this.leftParticipants.set(participantId, participant);
     this.participants.delete(participantId);
     
-    // If host left, assign new host (first participant)
-    if (this.hostId === participantId && this.participants.size > 0) {
-      const firstParticipant = Array.from(this.participants.values())[0];
-      firstParticipant.isHost = true;
-      this.hostId = firstParticipant.id;
+    // If host left, hand the moderator role on according to the succession policy
+    let succession = null;
+    if (this.hostId === participantId) {
+      const successor = this.chooseSuccessor();
+      if (successor) {
+        succession = { successor, previousRole: successor.role };
+        this.assignModerator(successor);
+        console.log(`${successor.name} succeeded ${participant.name} as moderator (${this.settings.hostSuccession})`);
+      } else {
+        // hostId keeps pointing at them so their host token can reclaim the seat (see reinstateModerator)
+        console.log(`Moderator ${participant.name} left; no successor under ${this.settings.hostSuccession}`);
+      }
     }
     
     console.log(`Participant ${participant.name} left meeting but data preserved for summary`);
+    this.touch();
+    return succession;
+  }
+
+  /**
+   * Give the moderator seat back to the moderator who left when nobody could succeed them
+   * They return with their metrics, as if reconnecting.
+   * @returns {Object|null} The reinstated moderator, or null if the seat isn't vacant
+   */
+  reinstateModerator(socketId) {
+    const moderator = this.leftParticipants.get(this.hostId);
+    if (!moderator || this.participants.has(this.hostId)) return null;
+
+    this.leftParticipants.delete(moderator.id);
+    moderator.leftAt = null;
+    moderator.isActive = true;
+    moderator.socketId = socketId;
+    this.participants.set(moderator.id, moderator);
+    console.log(`Moderator ${moderator.name} reclaimed the vacant moderator seat in meeting ${this.code}`);
+    this.touch();
+    return moderator;
+  }
+
+  /**
+   * Pick the next moderator from the remaining participants per settings.hostSuccession
+   * Participants are kept in join order, so the first match is the earliest joined.
+   */
+  chooseSuccessor() {
+    const remaining = Array.from(this.participants.values());
+    const coModerators = remaining
+      .filter(p => p.role === 'co_moderator')
+      .sort((a, b) => new Date(a.roleChangedAt) - new Date(b.roleChangedAt));
+    const eligible = remaining.filter(p => p.role === 'co_moderator' || p.role === 'participant');
+
+    switch (this.settings.hostSuccession) {
+      case 'co_moderator_only':
+        return coModerators[0] || null;
+      case 'earliest_joined':
+        return eligible[0] || null;
+      default:
+        return coModerators[0] || eligible[0] || null;
+    }
+  }
+
+  /**
+   * Make a participant the moderator
+   * A present previous moderator's flags are cleared by the caller; one who already
+   * left is stepped down to co-moderator here, so records never show two hosts.
+   */
+  assignModerator(participant, now = Date.now()) {
+    const departed = this.leftParticipants.get(this.hostId);
+    if (departed && departed !== participant) {
+      departed.role = 'co_moderator';
+      departed.isHost = false;
+      departed.roleChangedAt = new Date(now);
+    }
+
+    participant.role = 'moderator';
+    participant.isHost = true;
+    participant.roleChangedAt = new Date(now);
+    this.hostId = participant.id;
+    if (participant.inQueue) {
+      this.removeFromQueue(participant.id); // The moderator runs the queue rather than waiting in it
+    }
+  }
+
+  /**
+   * Change a participant's role
+   * Promoting someone to moderator hands the meeting over: the current moderator
+   * becomes a co-moderator. The moderator can't be demoted directly - hand over first.
+   * @param {string} participantId
+   * @param {string} role - One of ROLES
+   * @returns {{participant: Object, previousRole: string, previousModerator: Object|null}}
+   * @throws {Error} If the participant or role is invalid
+   */
+  setRole(participantId, role, now = Date.now()) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+    const participant = this.participants.get(participantId);
+    if (!participant) {
+      throw new Error('Participant not found');
+    }
+    const previousRole = participant.role;
+    if (previousRole === role) {
+      throw new Error(`${participant.name} is already ${role === 'observer' ? 'an' : 'a'} ${role.replace('_', '-')}`);
+    }
+    if (previousRole === 'moderator') {
+      throw new Error('Hand the moderator role to someone else before changing your own role');
+    }
+
+    let previousModerator = null;
+    if (role === 'moderator') {
+      previousModerator = this.participants.get(this.hostId) || null;
+      if (previousModerator) {
+        previousModerator.role = 'co_moderator';
+        previousModerator.isHost = false;
+        previousModerator.roleChangedAt = new Date(now);
+      }
+      this.assignModerator(participant, now);
+    } else {
+      if (role === 'observer') {
+        // Close out their turn and queue spot while their speech still counts
+        this.updateSpeakingStatus(participant.id, false);
+        this.removeFromQueue(participant.id);
+      }
+      participant.role = role;
+      participant.roleChangedAt = new Date(now);
+    }
+
+    this.touch();
+    return { participant, previousRole, previousModerator };
+  }
+
+  /**
+   * Move a participant up to a more privileged role (default: one rank up)
+   * @throws {Error} If the target role isn't above the current one
+   */
+  promoteParticipant(participantId, role, now = Date.now()) {
+    const current = this.participants.get(participantId)?.role;
+    const target = role || ROLES[roleRank(current) + 1];
+    if (current && roleRank(target) <= roleRank(current)) {
+      throw new Error(`Cannot promote a ${current.replace('_', '-')} to ${target ? target.replace('_', '-') : 'a higher role'}`);
+    }
+    return this.setRole(participantId, target, now);
+  }
+
+  /**
+   * Move a participant down to a less privileged role (default: one rank down)
+   * @throws {Error} If the target role isn't below the current one
+   */
+  demoteParticipant(participantId, role, now = Date.now()) {
+    const current = this.participants.get(participantId)?.role;
+    const target = role || ROLES[roleRank(current) - 1];
+    if (current && (!target || roleRank(target) >= roleRank(current))) {
+      throw new Error(`Cannot demote a ${current.replace('_', '-')} to ${target ? target.replace('_', '-') : 'a lower role'}`);
+    }
+    return this.setRole(participantId, target, now);
+  }
+
+  /**
+   * Copy a role set in the main meeting onto this breakout room's seat
+   * Rooms have no moderator seat of their own (hostId stays null), so the role is
+   * copied as is; the seat leaves the floor and queue if it can no longer hold them.
+   * @returns {string|null} The seat's previous role, or null if nothing changed
+   */
+  mirrorRole(participantId, role, now = Date.now()) {
+    const participant = this.participants.get(participantId);
+    if (!participant || participant.role === role) return null;
+
+    const previousRole = participant.role;
+    if (role === 'observer') {
+      this.updateSpeakingStatus(participantId, false);
+    }
+    if (role === 'observer' || role === 'moderator') {
+      this.removeFromQueue(participantId);
+    }
+    participant.role = role;
+    participant.roleChangedAt = new Date(now);
+    this.touch();
+    return previousRole;
   }
 
   /**
@@ -127,14 +572,18 @@ export class Meeting {
    */
   updateSpeakingStatus(participantId, isSpeaking) {
     const participant = this.participants.get(participantId);
-    if (!participant) return;
+    if (!participant || participant.role === 'observer') return; // Observers' audio isn't tracked
 
     const now = Date.now();
     
     if (isSpeaking && !participant.isSpeaking) {
       // Started speaking
+      if (this.metricsStartedAt) {
+        this.openOverlaps(participant, now);
+      }
       participant.isSpeaking = true;
       participant.lastSpokeAt = now;
+      participant.turnStartedAt = now; // lastSpokeAt advances with the live loop; this marks the turn start
       participant.continuousSpeakingTime = 0;
       if (this.metricsStartedAt) {
         participant.turnCount++;
@@ -147,18 +596,99 @@ export class Meeting {
         participant.continuousSpeakingTime += elapsed;
         
         // Add to transcript
+        const turnStartedAt = participant.turnStartedAt || participant.lastSpokeAt;
         this.transcript.push({
           participantId: participant.id,
           participantName: participant.name,
-          startTime: new Date(participant.lastSpokeAt),
+          startTime: new Date(turnStartedAt),
           endTime: new Date(now),
-          duration: elapsed,
+          duration: (now - turnStartedAt) / 1000,
+          agendaItemId: this.getAgendaItemAt(turnStartedAt)?.id || null,
         });
+        this.transcriptVersion++;
       }
+      this.closeOverlaps(participant, now);
       participant.isSpeaking = false;
       participant.continuousSpeakingTime = 0;
+      participant.longTurnLevel = 0; // Escalation restarts with the next turn
     }
     // Note: Continuous speaking time updates are handled by the periodic interval in server.js
+    this.touch();
+  }
+
+  /**
+   * Open an overlap with everyone already holding the floor when a participant starts speaking
+   */
+  openOverlaps(interrupter, now) {
+    for (const other of this.participants.values()) {
+      if (other.id === interrupter.id || !other.isSpeaking) continue;
+
+      this.overlaps.push({
+        id: uuidv4(),
+        interrupterId: interrupter.id,
+        interrupterName: interrupter.name,
+        interruptedId: other.id,
+        interruptedName: other.name,
+        startedAt: now,
+        endedAt: null,
+        duration: null,
+        yieldedBy: null,
+        isInterruption: null,
+      });
+    }
+  }
+
+  /**
+   * Close every open overlap involving a participant who stopped speaking
+   * The participant who stops first yields; it's an interruption when the floor holder yields
+   */
+  closeOverlaps(participant, now) {
+    const closed = [];
+    for (const overlap of this.overlaps) {
+      if (overlap.endedAt) continue;
+      if (overlap.interrupterId !== participant.id && overlap.interruptedId !== participant.id) continue;
+
+      overlap.endedAt = now;
+      overlap.duration = (now - overlap.startedAt) / 1000;
+      overlap.yieldedBy = participant.id;
+      overlap.isInterruption = overlap.yieldedBy === overlap.interruptedId;
+      closed.push(overlap);
+    }
+
+    for (const overlap of closed) {
+      if (overlap.duration < MIN_OVERLAP_SECONDS) {
+        this.overlaps.splice(this.overlaps.indexOf(overlap), 1);
+        continue;
+      }
+
+      const interrupter = this.participants.get(overlap.interrupterId) || this.leftParticipants.get(overlap.interrupterId);
+      const interrupted = this.participants.get(overlap.interruptedId) || this.leftParticipants.get(overlap.interruptedId);
+      for (const p of [interrupter, interrupted]) {
+        if (p) p.overlapTime = (p.overlapTime || 0) + overlap.duration;
+      }
+      if (overlap.isInterruption) {
+        if (interrupter) interrupter.interruptionsMade = (interrupter.interruptionsMade || 0) + 1;
+        if (interrupted) interrupted.interruptionsReceived = (interrupted.interruptionsReceived || 0) + 1;
+      }
+    }
+  }
+
+  /**
+   * Aggregate overlap/interruption statistics for summaries
+   */
+  getInterruptionStats() {
+    const completed = this.overlaps.filter(o => o.endedAt);
+    const interruptions = completed.filter(o => o.isInterruption);
+    const totalOverlapTime = completed.reduce((sum, o) => sum + o.duration, 0);
+
+    return {
+      totalOverlaps: completed.length,
+      totalInterruptions: interruptions.length,
+      totalOverlapTime: Math.round(totalOverlapTime),
+      averageOverlapDuration: completed.length > 0
+        ? Math.round((totalOverlapTime / completed.length) * 10) / 10
+        : 0,
+    };
   }
 
   /**
@@ -173,6 +703,7 @@ export class Meeting {
       console.warn(`[Transcript] Participant ${participantId} not found`);
       return;
     }
+    if (participant.role === 'observer') return;
 
     // Find the most recent transcript entry for this participant
     let foundEntry = null;
@@ -199,8 +730,8 @@ export class Meeting {
     } else {
       // No entry found - create a new one
       // If participant is speaking, use their lastSpokeAt time, otherwise use now
-      const startTime = participant.isSpeaking && participant.lastSpokeAt 
-        ? new Date(participant.lastSpokeAt)
+      const startTime = participant.isSpeaking && (participant.turnStartedAt || participant.lastSpokeAt)
+        ? new Date(participant.turnStartedAt || participant.lastSpokeAt)
         : new Date();
       
       const newEntry = {
@@ -210,11 +741,58 @@ export class Meeting {
         endTime: new Date(),
         duration: 0,
         text: text,
+        agendaItemId: this.getAgendaItemAt(startTime.getTime())?.id || null,
       };
       
       this.transcript.push(newEntry);
       console.log(`[Transcript] Created new entry for ${participant.name}: "${text}"`);
     }
+    this.transcriptVersion++;
+    this.touch();
+  }
+
+  /**
+   * Collect transcript text not yet folded into the live notes
+   * Text is appended to existing entries as speech recognition catches up, so
+   * progress is tracked per entry rather than by entry count.
+   * @returns {{ entries: Array, cursor: number[] }} New text per entry, and the
+   *   cursor to pass to applyLiveNotes() once those entries have been processed
+   */
+  getUnprocessedTranscript() {
+    const entries = [];
+    const cursor = this.transcript.map((entry, i) => {
+      const text = entry.text || '';
+      const processed = this.liveNotesCursor[i] || 0;
+      const fresh = text.slice(processed).trim();
+      if (fresh) {
+        entries.push({
+          participantId: entry.participantId,
+          participantName: entry.participantName,
+          startTime: entry.startTime,
+          text: fresh,
+        });
+      }
+      return text.length;
+    });
+    return { entries, cursor };
+  }
+
+  /**
+   * Replace the live notes with a refreshed version
+   * @param {Object} notes - { decisions, openQuestions, actionItems }
+   * @param {number[]} cursor - Cursor returned by getUnprocessedTranscript()
+   */
+  applyLiveNotes(notes, cursor, now = Date.now()) {
+    this.liveNotes = {
+      decisions: notes.decisions,
+      openQuestions: notes.openQuestions,
+      actionItems: notes.actionItems,
+      revision: (this.liveNotes?.revision || 0) + 1,
+      updatedAt: new Date(now),
+    };
+    this.liveNotesCursor = cursor;
+    this.touch();
+    return this.liveNotes;
   }
 
   /**
@@ -240,6 +818,7 @@ export class Meeting {
       this.chatMessages.shift();
     }
 
+    this.touch();
     return chatMessage;
   }
 
@@ -255,18 +834,42 @@ export class Meeting {
 
   /**
    * Add participant to queue
+   * @param {string} [kind='new_point'] - 'direct_reply' goes ahead of new points
+   * @throws {Error} If the kind is unknown
    */
-  addToQueue(participantId) {
+  addToQueue(participantId, kind = 'new_point') {
+    if (!HAND_KINDS.includes(kind)) {
+      throw new Error(`Hand kind must be one of: ${HAND_KINDS.join(', ')}`);
+    }
     const participant = this.participants.get(participantId);
-    if (!participant || participant.inQueue) return false;
+    if (!participant || participant.inQueue || participant.role === 'observer' || participant.breakoutRoom) return false;
 
     participant.inQueue = true;
     participant.handRaisedAt = new Date();
-    this.queue.push(participantId);
-    this.updateQueuePositions();
+    participant.handKind = kind;
+    this.queue.splice(this.getQueueInsertIndex(kind), 0, participantId);
+    this.sortQueue();
+    this.touch();
     return true;
   }
 
+  /**
+   * Where a newly raised hand joins the queue
+   * New points go after the last new point and direct replies ahead of the first one,
+   * so any order the moderator set is kept. Round-robin hands join the end of the go-around.
+   */
+  getQueueInsertIndex(kind) {
+    if (this.turnMode === 'round_robin') return this.queue.length;
+
+    const isNewPoint = id => this.participants.get(id)?.handKind !== 'direct_reply';
+    if (kind === 'direct_reply') {
+      const firstNewPoint = this.queue.findIndex(isNewPoint);
+      return firstNewPoint === -1 ? this.queue.length : firstNewPoint;
+    }
+    const lastNewPoint = this.queue.findLastIndex(isNewPoint);
+    return lastNewPoint === -1 ? this.queue.length : lastNewPoint + 1;
+  }
+
   /**
    * Remove participant from queue
    */
@@ -276,21 +879,35 @@ export class Meeting {
 
     participant.inQueue = false;
     participant.handRaisedAt = null;
+    participant.handKind = null;
+    participant.placedByModerator = false;
+    participant.queueReason = null;
+    participant.queueFactors = null;
     this.queue = this.queue.filter(id => id !== participantId);
     this.updateQueuePositions();
+    this.touch();
     return true;
   }
 
   /**
    * Reorder queue
+   * @throws {Error} While the queue is ordered automatically (equity mode)
    */
   reorderQueue(newOrder) {
+    if (this.settings.equityQueue && this.turnMode !== 'round_robin') {
+      throw new Error('The queue is ordered automatically while equityQueue is on');
+    }
+
     // Validate all IDs exist
     const validOrder = newOrder.filter(id => this.participants.has(id));
     if (validOrder.length !== this.queue.length) return false;
 
     this.queue = validOrder;
-    this.updateQueuePositions();
+    for (const id of validOrder) {
+      this.participants.get(id).placedByModerator = true;
+    }
+    this.sortQueue();
+    this.touch();
     return true;
   }
 
@@ -306,14 +923,245 @@ export class Meeting {
     });
   }
 
+  /**
+   * Refresh queue order and position reasons (see queueOrdering.js)
+   * Only equity mode re-ranks; otherwise the current order is kept, since hands are
+   * inserted in place and the moderator may have reordered them. Round-robin queues
+   * keep their go-around order.
+   */
+  sortQueue(now = Date.now()) {
+    if (this.turnMode === 'round_robin') {
+      for (const id of this.queue) {
+        const participant = this.participants.get(id);
+        if (participant) {
+          participant.queueReason = 'Round-robin order';
+          participant.queueFactors = null;
+        }
+      }
+      this.updateQueuePositions();
+      return;
+    }
+
+    const candidates = this.queue
+      .map(id => this.participants.get(id))
+      .filter(Boolean)
+      .map(p => ({
+        id: p.id,
+        name: p.name,
+        kind: p.handKind || 'new_point',
+        placedByModerator: !!p.placedByModerator,
+        handRaisedAt: p.handRaisedAt ? new Date(p.handRaisedAt).getTime() : now,
+        speakingTime: p.speakingTime,
+        turnCount: p.turnCount,
+        lastSpokeAt: p.lastSpokeAt,
+      }));
+
+    const ordered = orderQueue(candidates, { equity: this.settings.equityQueue, now });
+    this.queue = ordered.map(entry => entry.id);
+    for (const entry of ordered) {
+      const participant = this.participants.get(entry.id);
+      participant.queueReason = entry.reason;
+      participant.queueFactors = entry.factors;
+    }
+    this.updateQueuePositions();
+  }
+
   /**
    * Approve next speaker
+   * Re-ranks first so equity ordering reflects speaking since the last queue change
    */
   approveNextSpeaker() {
     if (this.queue.length === 0) return null;
+    this.sortQueue();
     return this.queue[0];
   }
 
+  /**
+   * Queue entries for clients
+   */
+  getQueueArray() {
+    return this.queue.map(id => {
+      const p = this.participants.get(id);
+      return p
+        ? {
+          id: p.id,
+          name: p.name,
+          position: p.queuePosition,
+          kind: p.handKind || 'new_point',
+          reason: p.queueReason,
+          factors: p.queueFactors,
+        }
+        : null;
+    }).filter(Boolean);
+  }
+
+  /**
+   * Switch the queue turn mode
+   * Round-robin rebuilds the queue from every participant except the moderator
+   * (in join order) and hands the floor to the first of them.
+   * @returns {Object|null} The speaking slot started, if any
+   * @throws {Error} If the mode is unknown, or round-robin has nobody to go around
+   */
+  setTurnMode(mode, now = Date.now()) {
+    if (!TURN_MODES.includes(mode)) {
+      throw new Error(`Turn mode must be one of: ${TURN_MODES.join(', ')}`);
+    }
+    if (mode === 'round_robin') {
+      // Same eligibility as addToQueue: no moderator, observers or anyone in a breakout room
+      const eligible = Array.from(this.participants.values())
+        .some(p => p.role !== 'moderator' && p.role !== 'observer' && !p.breakoutRoom);
+      if (!eligible) {
+        throw new Error('Round-robin needs at least one participant besides the moderator');
+      }
+    }
+
+    this.turnMode = mode;
+    this.speakingSlot = null;
+
+    if (mode === 'round_robin') {
+      for (const id of this.queue) {
+        this.removeFromQueue(id);
+      }
+      for (const participant of this.participants.values()) {
+        if (participant.role !== 'moderator') this.addToQueue(participant.id); // addToQueue skips observers and anyone in a breakout room
+      }
+      const first = this.approveNextSpeaker();
+      if (first) return this.startSpeakingSlot(first, now);
+    } else {
+      this.sortQueue(now);
+    }
+
+    this.touch();
+    return null;
+  }
+
+  /**
+   * Give a participant the floor for one slot (moderator override: any participant, in any order)
+   * @throws {Error} In open mode, or if the participant isn't in the meeting
+   */
+  startSpeakingSlot(participantId, now = Date.now()) {
+    if (this.turnMode === 'open') {
+      throw new Error('Speaking slots are only used in timed and round-robin modes');
+    }
+    const participant = this.participants.get(participantId);
+    if (!participant) {
+      throw new Error('Participant not found');
+    }
+    if (participant.role === 'observer') {
+      throw new Error('Observers can\'t be given the floor');
+    }
+    if (participant.breakoutRoom) {
+      throw new Error(`${participant.name} is in a breakout room`);
+    }
+
+    this.removeFromQueue(participantId);
+    const duration = this.settings.speakingSlotSeconds;
+    this.speakingSlot = {
+      participantId,
+      participantName: participant.name,
+      startedAt: now,
+      duration,
+      endsAt: now + duration * 1000,
+      expiredAt: null, // Set when the slot runs out without auto-advancing
+      lastCountdown: null, // Last whole-second countdown reported
+    };
+    this.touch();
+    return this.speakingSlot;
+  }
+
+  /**
+   * End the current slot and hand the floor to the next participant in the queue
+   * A round-robin go-around ends (back to open mode) once the queue is empty.
+   * @returns {{previous: Object|null, slot: Object|null, roundRobinComplete: boolean}}
+   */
+  advanceSpeakingSlot(now = Date.now()) {
+    const previous = this.speakingSlot;
+    this.speakingSlot = null;
+
+    const next = this.approveNextSpeaker();
+    if (next) {
+      return { previous, slot: this.startSpeakingSlot(next, now), roundRobinComplete: false };
+    }
+
+    const roundRobinComplete = this.turnMode === 'round_robin';
+    if (roundRobinComplete) {
+      this.turnMode = 'open';
+    }
+    this.touch();
+    return { previous, slot: null, roundRobinComplete };
+  }
+
+  /**
+   * Add time to the current slot (moderator override)
+   * @throws {Error} If there is no slot or the extension is out of range
+   */
+  extendSpeakingSlot(seconds) {
+    if (!this.speakingSlot) {
+      throw new Error('No one has the floor');
+    }
+    if (typeof seconds !== 'number' || !Number.isFinite(seconds) || seconds <= 0 || seconds > MAX_SLOT_EXTENSION) {
+      throw new Error(`Extension must be a number of seconds between 1 and ${MAX_SLOT_EXTENSION}`);
+    }
+
+    this.speakingSlot.duration += seconds;
+    this.speakingSlot.endsAt += seconds * 1000;
+    this.speakingSlot.expiredAt = null;
+    this.touch();
+    return this.speakingSlot;
+  }
+
+  /**
+   * Free the floor without advancing the queue (moderator override)
+   */
+  endSpeakingSlot() {
+    const previous = this.speakingSlot;
+    this.speakingSlot = null;
+    this.touch();
+    return previous;
+  }
+
+  /**
+   * Current slot for clients, with whole seconds remaining (negative when in overtime)
+   */
+  getSpeakingSlot(now = Date.now()) {
+    if (!this.speakingSlot) return null;
+    const { participantId, participantName, startedAt, duration, endsAt } = this.speakingSlot;
+    return { participantId, participantName, startedAt, duration, endsAt, remaining: Math.ceil((endsAt - now) / 1000) };
+  }
+
+  /**
+   * Run the current slot's clock (called by the live loop)
+   * Reports each whole-second countdown step, and the expiry once. On expiry the
+   * floor passes to the next in queue when autoAdvanceSlots is on; otherwise the
+   * speaker runs into overtime until the moderator advances. A slot whose speaker
+   * left the meeting always advances.
+   * @returns {Object|null} {type: 'countdown', remaining} or
+   *   {type: 'expired', previous, slot, roundRobinComplete, advanced}
+   */
+  checkSpeakingSlot(now = Date.now()) {
+    const slot = this.speakingSlot;
+    if (!slot) return null;
+
+    if (!this.participants.has(slot.participantId)) {
+      return { type: 'expired', advanced: true, ...this.advanceSpeakingSlot(now) };
+    }
+
+    const remaining = Math.ceil((slot.endsAt - now) / 1000);
+    if (remaining > 0) {
+      if (remaining === slot.lastCountdown) return null;
+      slot.lastCountdown = remaining;
+      return { type: 'countdown', participantId: slot.participantId, remaining };
+    }
+
+    if (slot.expiredAt) return null;
+    if (this.settings.autoAdvanceSlots) {
+      return { type: 'expired', advanced: true, ...this.advanceSpeakingSlot(now) };
+    }
+    slot.expiredAt = now;
+    this.touch();
+    return { type: 'expired', advanced: false, previous: slot, slot, roundRobinComplete: false };
+  }
+
   /**
    * Send nudge to participant
    */
@@ -329,9 +1177,482 @@ export class Meeting {
     };
 
     this.nudges.push(nudge);
+    this.touch();
     return nudge;
   }
 
+  /**
+   * Update meeting settings
+   * Validates every field before applying any of them
+   * @param {Object} changes - Partial settings object
+   * @returns {Object} The updated settings
+   * @throws {Error} If a setting is unknown or out of range
+   */
+  updateSettings(changes) {
+    validateSettings(changes);
+
+    this.settings = { ...this.settings, ...changes };
+    if ('equityQueue' in changes) {
+      this.sortQueue();
+    }
+    this.touch();
+    return this.settings;
+  }
+
+  /**
+   * Replace the upcoming agenda
+   * Items already started or finished are kept (in order) ahead of the new items so
+   * their transcript and timeline tags stay valid.
+   * @param {Array} items - [{title, ownerId?, timebox}] with timebox in seconds
+   * @returns {Array} The full agenda
+   * @throws {Error} If an item is invalid
+   */
+  setAgenda(items) {
+    if (!Array.isArray(items)) {
+      throw new Error('Agenda must be an array of items');
+    }
+
+    const kept = this.agenda.filter(item => item.status !== 'pending');
+    if (kept.length + items.length > MAX_AGENDA_ITEMS) {
+      throw new Error(`An agenda can have at most ${MAX_AGENDA_ITEMS} items`);
+    }
+
+    const pending = items.map((item, index) => {
+      const title = typeof item?.title === 'string' ? item.title.trim() : '';
+      if (!title || title.length > MAX_AGENDA_TITLE_LENGTH) {
+        throw new Error(`Agenda item ${index + 1}: title must be 1-${MAX_AGENDA_TITLE_LENGTH} characters`);
+      }
+      const { timebox } = item;
+      if (typeof timebox !== 'number' || !Number.isFinite(timebox) || timebox < AGENDA_TIMEBOX_RULE.min || timebox > AGENDA_TIMEBOX_RULE.max) {
+        throw new Error(`Agenda item ${index + 1}: timebox must be a number between ${AGENDA_TIMEBOX_RULE.min} and ${AGENDA_TIMEBOX_RULE.max} seconds`);
+      }
+      let owner = null;
+      if (item.ownerId) {
+        owner = this.participants.get(item.ownerId) || this.leftParticipants.get(item.ownerId);
+        if (!owner) {
+          throw new Error(`Agenda item ${index + 1}: owner is not a participant`);
+        }
+      }
+
+      return {
+        id: uuidv4(),
+        title,
+        ownerId: owner ? owner.id : null,
+        ownerName: owner ? owner.name : null,
+        timebox: Math.round(timebox),
+        status: 'pending', // pending -> active -> done
+        startedAt: null,
+        endedAt: null,
+        warnings: [], // Overrun warning levels already sent for this item
+      };
+    });
+
+    this.agenda = [...kept, ...pending];
+    this.touch();
+    return this.agenda;
+  }
+
+  /**
+   * The agenda item currently being discussed, if any
+   */
+  getActiveAgendaItem() {
+    return this.agenda.find(item => item.status === 'active') || null;
+  }
+
+  /**
+   * The agenda item that was active at a point in time (ms timestamp)
+   */
+  getAgendaItemAt(timestamp) {
+    return this.agenda.find(item =>
+      item.startedAt && new Date(item.startedAt).getTime() <= timestamp
+        && (!item.endedAt || new Date(item.endedAt).getTime() > timestamp)
+    ) || null;
+  }
+
+  /**
+   * Start a pending agenda item (items may be taken out of order), finishing the active one first
+   * Each item covers a single time span, so finished items can't be reopened
+   * @throws {Error} If the item doesn't exist or isn't pending
+   */
+  startAgendaItem(itemId, now = Date.now()) {
+    const item = this.agenda.find(i => i.id === itemId);
+    if (!item) {
+      throw new Error('Agenda item not found');
+    }
+    if (item.status !== 'pending') {
+      throw new Error(`Agenda item is already ${item.status === 'active' ? 'active' : 'finished'}`);
+    }
+
+    this.finishActiveAgendaItem(now);
+    item.status = 'active';
+    item.startedAt = new Date(now);
+    this.touch();
+    return item;
+  }
+
+  /**
+   * Finish the active item and start the next pending one
+   * @returns {Object|null} The item now active, or null if the agenda is complete
+   */
+  advanceAgenda(now = Date.now()) {
+    const next = this.agenda.find(item => item.status === 'pending');
+    if (next) {
+      return this.startAgendaItem(next.id, now);
+    }
+    this.finishActiveAgendaItem(now);
+    this.touch();
+    return null;
+  }
+
+  /**
+   * Finish the active agenda item without starting another
+   * @returns {Object|null} The finished item
+   */
+  finishActiveAgendaItem(now = Date.now()) {
+    const active = this.getActiveAgendaItem();
+    if (!active) return null;
+
+    active.status = 'done';
+    active.endedAt = new Date(now);
+    this.touch();
+    return active;
+  }
+
+  /**
+   * Agenda for clients, with elapsed and remaining time for each item
+   */
+  getAgenda(now = Date.now()) {
+    return this.agenda.map(item => {
+      const elapsed = item.startedAt
+        ? Math.round(((item.endedAt ? new Date(item.endedAt).getTime() : now) - new Date(item.startedAt).getTime()) / 1000)
+        : 0;
+      return {
+        id: item.id,
+        title: item.title,
+        ownerId: item.ownerId,
+        ownerName: item.ownerName,
+        timebox: item.timebox,
+        status: item.status,
+        startedAt: item.startedAt,
+        endedAt: item.endedAt,
+        elapsed,
+        remaining: item.timebox - elapsed,
+      };
+    });
+  }
+
+  /**
+   * Check the active agenda item against its timebox (called by the live loop)
+   * Each warning level is sent once per item: 'approaching' shortly before the
+   * timebox ends, 'overrun' once it has been exceeded
+   * @returns {Object|null} Warning: {itemId, title, ownerId, level, timebox, elapsed}
+   */
+  checkAgendaTimebox(now = Date.now()) {
+    const item = this.getActiveAgendaItem();
+    if (!item) return null;
+
+    const elapsed = (now - new Date(item.startedAt).getTime()) / 1000;
+    const lead = Math.min(AGENDA_WARNING_LEAD, item.timebox * 0.2);
+    let level = null;
+    if (elapsed >= item.timebox) {
+      level = 'overrun';
+    } else if (elapsed >= item.timebox - lead) {
+      level = 'approaching';
+    }
+    if (!level || item.warnings.includes(level)) return null;
+
+    // An item that jumps straight to overrun (e.g. after a restart) never gets the approaching warning
+    item.warnings.push(level);
+    this.touch();
+    return {
+      itemId: item.id,
+      title: item.title,
+      ownerId: item.ownerId,
+      level,
+      timebox: item.timebox,
+      elapsed: Math.round(elapsed),
+    };
+  }
+
+  /**
+   * Per-topic participation for every agenda item that was discussed
+   * Speaking time and fairness come from the fairness timeline over the item's
+   * time span; turns come from transcript entries tagged with the item
+   */
+  getAgendaSummary(now = Date.now()) {
+    return this.agenda.map(item => {
+      const base = {
+        id: item.id,
+        title: item.title,
+        ownerName: item.ownerName,
+        timebox: item.timebox,
+        status: item.status,
+      };
+      if (!item.startedAt) return base;
+
+      const start = new Date(item.startedAt).getTime();
+      const end = item.endedAt ? new Date(item.endedAt).getTime() : (this.endedAt ? new Date(this.endedAt).getTime() : now);
+      const duration = Math.round((end - start) / 1000);
+      const metrics = this.getWindowMetrics(start, end);
+      const entries = this.transcript.filter(entry => entry.agendaItemId === item.id);
+
+      const turns = {};
+      for (const entry of entries) {
+        turns[entry.participantId] = (turns[entry.participantId] || 0) + 1;
+      }
+      const names = new Map(this.getMetricParticipants().map(p => [p.id, p.name]));
+      const speakingTimes = metrics?.speakingTimes || {};
+      const total = Object.values(speakingTimes).reduce((a, b) => a + b, 0);
+      const participation = Object.entries(speakingTimes).map(([id, seconds]) => ({
+        participantId: id,
+        participantName: names.get(id),
+        speakingTime: Math.round(seconds),
+        percentage: total > 0 ? Math.round((seconds / total) * 100) : 0,
+        turnCount: turns[id] || 0,
+      }));
+
+      return {
+        ...base,
+        startedAt: item.startedAt,
+        endedAt: item.endedAt,
+        duration,
+        overrun: Math.max(0, duration - item.timebox),
+        fairnessScore: metrics ? metrics.fairnessScore : null,
+        totalSpeakingTime: metrics ? metrics.totalSpeakingTime : 0,
+        turnCount: entries.length,
+        participation,
+      };
+    });
+  }
+
+  /**
+   * Work out breakout room membership and duration
+   * A manual plan lists each room's participants; otherwise `roomCount` rooms are
+   * filled by balanced auto-assignment (see utils/breakoutAssignment.js). The
+   * moderator always stays in the main meeting, and observers only go where
+   * they're put.
+   * @param {Object} plan
+   * @param {Array} [plan.rooms] - Manual assignment: [{name, participantIds}]
+   * @param {number} [plan.roomCount] - Auto-assignment: number of rooms
+   * @param {number} [plan.duration] - Seconds until everyone is recalled
+   * @returns {{rooms: Array, duration: number}} rooms: [{name, participantIds}]
+   * @throws {Error} If the plan is invalid or breakout rooms are already open
+   */
+  planBreakoutRooms({ rooms, roomCount, duration = DEFAULT_BREAKOUT_DURATION } = {}) {
+    if (this.parentCode) {
+      throw new Error('Breakout rooms can\'t be split further');
+    }
+    if (this.breakout) {
+      throw new Error('Breakout rooms are already open');
+    }
+    if (typeof duration !== 'number' || !Number.isFinite(duration)
+      || duration < BREAKOUT_DURATION_RULE.min || duration > BREAKOUT_DURATION_RULE.max) {
+      throw new Error(`Breakout duration must be between ${BREAKOUT_DURATION_RULE.min} and ${BREAKOUT_DURATION_RULE.max} seconds`);
+    }
+
+    if (Array.isArray(rooms)) {
+      if (rooms.length === 0 || rooms.length > MAX_BREAKOUT_ROOMS) {
+        throw new Error(`Breakouts need between 1 and ${MAX_BREAKOUT_ROOMS} rooms`);
+      }
+      const assigned = new Set();
+      const planned = rooms.map((room, i) => {
+        const participantIds = Array.isArray(room?.participantIds) ? room.participantIds : [];
+        if (participantIds.length === 0) {
+          throw new Error(`Room ${i + 1} has no participants`);
+        }
+        for (const id of participantIds) {
+          const participant = this.participants.get(id);
+          if (!participant) {
+            throw new Error('Participant not found');
+          }
+          if (participant.role === 'moderator') {
+            throw new Error('The moderator stays in the main meeting');
+          }
+          if (assigned.has(id)) {
+            throw new Error(`${participant.name} is assigned to more than one room`);
+          }
+          assigned.add(id);
+        }
+        const name = typeof room.name === 'string' ? room.name.trim() : '';
+        if (name.length > MAX_BREAKOUT_NAME_LENGTH) {
+          throw new Error(`Room names must be at most ${MAX_BREAKOUT_NAME_LENGTH} characters`);
+        }
+        return { name: name || `Room ${i + 1}`, participantIds: [...participantIds] };
+      });
+      return { rooms: planned, duration };
+    }
+
+    if (!Number.isInteger(roomCount) || roomCount < 2 || roomCount > MAX_BREAKOUT_ROOMS) {
+      throw new Error(`Room count must be a whole number between 2 and ${MAX_BREAKOUT_ROOMS}`);
+    }
+    const candidates = Array.from(this.participants.values())
+      .filter(p => p.role === 'participant' || p.role === 'co_moderator');
+    if (candidates.length < roomCount) {
+      throw new Error(`Not enough participants for ${roomCount} rooms`);
+    }
+    const planned = assignBalanced(candidates.map(p => ({ id: p.id, speakingTime: p.speakingTime })), roomCount)
+      .map((participantIds, i) => ({ name: `Room ${i + 1}`, participantIds }));
+    return { rooms: planned, duration };
+  }
+
+  /**
+   * Record that participants went off to their breakout rooms
+   * Anyone speaking has their turn closed and leaves the queue. While away they
+   * can't queue here and aren't flagged as quiet.
+   * @param {Array} rooms - [{code, name, participantIds}] - planned rooms with their meeting codes
+   * @param {number} duration - Seconds until everyone is recalled
+   */
+  startBreakout(rooms, duration, now = Date.now()) {
+    for (const room of rooms) {
+      for (const id of room.participantIds) {
+        const participant = this.participants.get(id);
+        if (!participant) continue;
+        this.updateSpeakingStatus(id, false);
+        this.removeFromQueue(id);
+        if (this.speakingSlot?.participantId === id) {
+          this.endSpeakingSlot();
+        }
+        participant.breakoutRoom = room.code;
+      }
+    }
+
+    this.breakout = {
+      id: uuidv4(),
+      startedAt: now,
+      duration,
+      endsAt: now + duration * 1000,
+      warned: false,
+      rooms,
+    };
+    this.touch();
+    return this.breakout;
+  }
+
+  /**
+   * Open breakout rooms for clients, with whole seconds remaining
+   */
+  getBreakoutState(now = Date.now()) {
+    if (!this.breakout) return null;
+    const nameOf = id => (this.participants.get(id) || this.leftParticipants.get(id))?.name;
+    return {
+      id: this.breakout.id,
+      startedAt: this.breakout.startedAt,
+      endsAt: this.breakout.endsAt,
+      remaining: Math.max(0, Math.ceil((this.breakout.endsAt - now) / 1000)),
+      rooms: this.breakout.rooms.map(room => ({
+        code: room.code,
+        name: room.name,
+        participants: room.participantIds.map(id => ({ id, name: nameOf(id) })),
+      })),
+    };
+  }
+
+  /**
+   * Check the breakout timer (called by the live loop)
+   * Warns once shortly before the rooms close, then reports expiry on every tick
+   * until the caller recalls everyone.
+   * @returns {Object|null} {type: 'warning', remaining} or {type: 'expired'}
+   */
+  checkBreakoutTimer(now = Date.now()) {
+    if (!this.breakout) return null;
+    const { endsAt, duration } = this.breakout;
+    if (now >= endsAt) return { type: 'expired' };
+
+    const remaining = Math.ceil((endsAt - now) / 1000);
+    if (!this.breakout.warned && duration > BREAKOUT_WARNING_LEAD && remaining <= BREAKOUT_WARNING_LEAD) {
+      this.breakout.warned = true;
+      this.touch();
+      return { type: 'warning', remaining };
+    }
+    return null;
+  }
+
+  /**
+   * Close the breakout and record its results
+   * Participation is reported per room and across all rooms combined. Room
+   * speaking time stays out of this meeting's own fairness metrics.
+   * @param {Array} results - Closed rooms: [{code, name, summary, transcript}] where summary
+   *   is the room meeting's getSummary()
+   * @returns {Object} The breakout session as shown to clients (transcripts omitted)
+   */
+  endBreakout(results, now = Date.now()) {
+    const rooms = results.map(({ code, name, summary, transcript }) => {
+      const participants = summary.participants.map(p => ({
+        id: p.id,
+        name: p.name,
+        speakingTime: p.speakingTime,
+        turnCount: p.turnCount,
+        isObserver: p.isObserver,
+        leftEarly: !p.isActive,
+      }));
+      const speakers = participants.filter(p => !p.isObserver);
+      return {
+        code,
+        name,
+        fairnessScore: summary.fairnessScore,
+        giniCoefficient: summary.analytics.giniCoefficient,
+        totalSpeakingTime: speakers.reduce((total, p) => total + p.speakingTime, 0),
+        turnCount: transcript.length,
+        participants,
+        transcript,
+      };
+    });
+
+    const duration = Math.round((now - this.breakout.startedAt) / 1000);
+    const speakers = rooms.flatMap(room => room.participants
+      .filter(p => !p.isObserver)
+      .map(p => ({ ...p, room: room.name })));
+    const total = speakers.reduce((sum, p) => sum + p.speakingTime, 0);
+    const combined = speakers.length > 0
+      ? analyzeAdvancedFairness(speakers.map(p => p.speakingTime), duration)
+      : null;
+    const roomScores = rooms.map(room => room.fairnessScore);
+
+    const session = {
+      id: this.breakout.id,
+      startedAt: this.breakout.startedAt,
+      endedAt: now,
+      plannedDuration: this.breakout.duration,
+      duration,
+      rooms,
+      aggregate: {
+        totalSpeakingTime: total,
+        fairnessScore: combined ? Math.round(combined.fairnessScore * 100) : 100,
+        averageRoomFairness: roomScores.length > 0
+          ? Math.round(roomScores.reduce((a, b) => a + b, 0) / roomScores.length)
+          : null,
+        participation: speakers.map(p => ({
+          participantId: p.id,
+          participantName: p.name,
+          room: p.room,
+          speakingTime: p.speakingTime,
+          percentage: total > 0 ? Math.round((p.speakingTime / total) * 100) : 0,
+          turnCount: p.turnCount,
+        })),
+      },
+    };
+
+    for (const room of this.breakout.rooms) {
+      for (const id of room.participantIds) {
+        const participant = this.participants.get(id) || this.leftParticipants.get(id);
+        if (!participant) continue;
+        participant.breakoutRoom = null;
+        participant.breakoutReturnedAt = now;
+      }
+    }
+    this.breakoutSessions.push(session);
+    this.breakout = null;
+    this.touch();
+    return withoutTranscripts(session);
+  }
+
+  /**
+   * Closed breakout sessions for the meeting summary (room transcripts omitted)
+   */
+  getBreakoutSummary() {
+    return this.breakoutSessions.map(withoutTranscripts);
+  }
+
   /**
    * Start metrics tracking
    */
@@ -339,6 +1660,7 @@ export class Meeting {
     if (!this.metricsStartedAt) {
       this.metricsStartedAt = new Date();
       console.log(`Metrics started for meeting ${this.code} at ${this.metricsStartedAt}`);
+      this.touch();
       return true;
     }
     return false; // Already started
@@ -365,13 +1687,7 @@ export class Meeting {
 
     // Get non-host participants' speaking times from both active and left participants
     // (as per research requirements - include all who participated)
-    const activeNonHost = Array.from(this.participants.values())
-      .filter(p => !p.isHost);
-    const leftNonHost = Array.from(this.leftParticipants.values())
-      .filter(p => !p.isHost);
-    
-    // Combine active and left participants for fairness calculation
-    const nonHostParticipants = [...activeNonHost, ...leftNonHost];
+    const nonHostParticipants = this.getMetricParticipants();
     
     // Handle edge case: no non-host participants
     if (nonHostParticipants.length === 0) {
@@ -398,6 +1714,155 @@ export class Meeting {
     };
   }
 
+  /**
+   * Participants who count towards fairness metrics
+   * Non-host participants, both active and left (left participants keep their contributions).
+   * Observers are excluded, including anyone demoted to observer mid-meeting.
+   */
+  getMetricParticipants() {
+    return [
+      ...Array.from(this.participants.values()),
+      ...Array.from(this.leftParticipants.values()),
+    ].filter(p => !p.isHost && p.role !== 'observer');
+  }
+
+  /**
+   * Record a fairness timeline snapshot (called periodically by the live loop)
+   */
+  recordFairnessSnapshot(now = Date.now()) {
+    if (!this.metricsStartedAt) return null;
+
+    this.calculateFairnessMetrics();
+    const speakingTimes = {};
+    for (const p of this.getMetricParticipants()) {
+      speakingTimes[p.id] = Math.round(p.speakingTime * 10) / 10;
+    }
+
+    const rolling = this.getRollingMetrics(now);
+    const snapshot = {
+      timestamp: now,
+      speakingTimes,
+      fairnessScore: this.analytics.fairnessScore,
+      giniCoefficient: this.analytics.giniCoefficient,
+      rollingFairnessScore: rolling ? rolling.fairnessScore : this.analytics.fairnessScore,
+      agendaItemId: this.getActiveAgendaItem()?.id || null,
+    };
+
+    this.fairnessTimeline.push(snapshot);
+    if (this.fairnessTimeline.length > MAX_TIMELINE_SNAPSHOTS) {
+      // Halve the resolution instead of dropping the start of the meeting
+      this.fairnessTimeline = this.fairnessTimeline.filter((_, i) => i % 2 === 0);
+    }
+    this.touch();
+    return snapshot;
+  }
+
+  /**
+   * Cumulative speaking time per metric participant at a point in time
+   * Interpolates linearly between timeline snapshots (and the live state after the last one)
+   */
+  getSpeakingTimesAt(timestamp, now = Date.now()) {
+    const live = {};
+    for (const p of this.getMetricParticipants()) {
+      live[p.id] = p.speakingTime;
+    }
+
+    const points = [
+      { timestamp: new Date(this.metricsStartedAt).getTime(), speakingTimes: {} },
+      ...this.fairnessTimeline,
+      { timestamp: now, speakingTimes: live },
+    ];
+
+    if (timestamp >= now) return live;
+
+    const after = points.findIndex(point => point.timestamp > timestamp);
+    if (after <= 0) return after === 0 ? {} : live;
+
+    const a = points[after - 1];
+    const b = points[after];
+    const ratio = b.timestamp === a.timestamp ? 1 : (timestamp - a.timestamp) / (b.timestamp - a.timestamp);
+    const result = {};
+    for (const id of new Set([...Object.keys(a.speakingTimes), ...Object.keys(b.speakingTimes)])) {
+      const from = a.speakingTimes[id] || 0;
+      const to = b.speakingTimes[id] ?? from;
+      result[id] = from + (to - from) * ratio;
+    }
+    return result;
+  }
+
+  /**
+   * Fairness metrics for speaking that happened within [start, end]
+   * Only participants present during the window are counted
+   * @param {number} start - Window start (ms timestamp)
+   * @param {number} [end] - Window end (ms timestamp, defaults to now)
+   * @returns {Object|null} Window metrics, or null if the window is empty or metrics haven't started
+   */
+  getWindowMetrics(start, end = Date.now()) {
+    if (!this.metricsStartedAt) return null;
+
+    const now = Date.now();
+    const windowStart = Math.max(start, new Date(this.metricsStartedAt).getTime());
+    const windowEnd = Math.min(end, now);
+    if (windowEnd <= windowStart) return null;
+
+    const startTimes = this.getSpeakingTimesAt(windowStart, now);
+    const endTimes = this.getSpeakingTimesAt(windowEnd, now);
+    const present = this.getMetricParticipants().filter(p =>
+      new Date(p.joinedAt).getTime() <= windowEnd && (!p.leftAt || new Date(p.leftAt).getTime() >= windowStart)
+    );
+
+    const speakingTimes = {};
+    for (const p of present) {
+      speakingTimes[p.id] = Math.max(0, (endTimes[p.id] || 0) - (startTimes[p.id] || 0));
+    }
+
+    const duration = (windowEnd - windowStart) / 1000;
+    const analysis = analyzeAdvancedFairness(Object.values(speakingTimes), duration);
+
+    return {
+      start: new Date(windowStart),
+      end: new Date(windowEnd),
+      duration: Math.round(duration),
+      totalSpeakingTime: Math.round(Object.values(speakingTimes).reduce((a, b) => a + b, 0)),
+      speakingTimes,
+      ...analysis,
+      fairnessScore: Math.round(analysis.fairnessScore * 100), // Convert to percentage (0-100)
+    };
+  }
+
+  /**
+   * Fairness metrics over the trailing rollingWindowSeconds
+   */
+  getRollingMetrics(now = Date.now()) {
+    return this.getWindowMetrics(now - this.settings.rollingWindowSeconds * 1000, now);
+  }
+
+  /**
+   * Direction of fairness over the meeting, from windowed fairness in equal segments
+   * Segments where nobody spoke are skipped (they would read as perfectly fair)
+   */
+  getFairnessTrend(now = Date.now()) {
+    if (!this.metricsStartedAt) {
+      return { direction: 'insufficient_data', slope: 0, change: 0, segments: [] };
+    }
+
+    const start = new Date(this.metricsStartedAt).getTime();
+    const end = this.endedAt ? new Date(this.endedAt).getTime() : now;
+    const segmentCount = Math.min(MAX_TREND_SEGMENTS, Math.floor((end - start) / MIN_TREND_SEGMENT_MS));
+    const segments = [];
+
+    for (let i = 0; i < segmentCount; i++) {
+      const segmentStart = start + ((end - start) * i) / segmentCount;
+      const segmentEnd = start + ((end - start) * (i + 1)) / segmentCount;
+      const metrics = this.getWindowMetrics(segmentStart, segmentEnd);
+      if (metrics && metrics.totalSpeakingTime > 0) {
+        segments.push({ timestamp: segmentEnd, start: metrics.start, end: metrics.end, fairnessScore: metrics.fairnessScore });
+      }
+    }
+
+    return { ...calculateFairnessTrend(segments), segments };
+  }
+
   /**
    * Get participants array (for API responses)
    * Includes both active participants and participants who left early
@@ -419,7 +1884,12 @@ export class Meeting {
       inQueue: p.inQueue,
       avatar: p.avatar,
       isHost: p.isHost,
+      role: p.role,
+      isObserver: p.role === 'observer', // Not part of the fairness metrics
+      breakoutRoom: p.breakoutRoom || null,
       turnCount: p.turnCount,
+      interruptionsMade: p.interruptionsMade || 0,
+      interruptionsReceived: p.interruptionsReceived || 0,
       continuousSpeakingTime: Math.round(p.continuousSpeakingTime),
       isMuted: p.isMuted || false,
       isVideoOff: p.isVideoOff || false,
@@ -443,7 +1913,11 @@ export class Meeting {
         inQueue: false, // Not in queue if they left
         avatar: p.avatar,
         isHost: p.isHost,
+        role: p.role,
+        isObserver: p.role === 'observer',
         turnCount: p.turnCount,
+        interruptionsMade: p.interruptionsMade || 0,
+        interruptionsReceived: p.interruptionsReceived || 0,
         continuousSpeakingTime: 0, // Reset since they left
         isMuted: true, // Consider them muted since they left
         isVideoOff: true, // Consider video off since they left
@@ -464,12 +1938,89 @@ export class Meeting {
 
     return {
       meetingCode: this.code,
+      title: this.title,
       duration: totalDuration,
       participants,
       fairnessScore: this.analytics.fairnessScore,
       analytics: this.analytics,
       queueSize: this.queue.length,
+      fairnessTrend: this.getFairnessTrend(),
+      interruptions: this.getInterruptionStats(),
+      turnTaking: analyzeTurnTaking(this.transcript, participants.filter(p => !p.isObserver)),
+      observerCount: participants.filter(p => p.isObserver).length,
+      agenda: this.getAgendaSummary(),
+      breakouts: this.getBreakoutSummary(),
+      attendance: this.getAttendance(),
       totalNudges: this.nudges.length,
+      nudgeBreakdown: this.nudges.reduce((counts, nudge) => {
+        const template = nudge.template || 'custom';
+        counts[template] = (counts[template] || 0) + 1;
+        return counts;
+      }, {}),
+    };
+  }
+
+  /**
+   * Compare who joined with the invite list (scheduled meetings only)
+   * Invitees are matched to participants by name, ignoring case and surrounding
+   * whitespace. Someone who joined more than once (e.g. from a second device) has
+   * several seats under one name: all of them count for the invitee, with the
+   * earliest giving the join time and the latest whether they left early. Times
+   * are in seconds relative to the scheduled start.
+   * @returns {Object|null} null for meetings that weren't scheduled
+   */
+  getAttendance() {
+    if (!this.scheduledStart) return null;
+
+    const scheduled = new Date(this.scheduledStart).getTime();
+    const normalize = name => name.trim().toLowerCase();
+    const byJoinTime = (a, b) => new Date(a.joinedAt).getTime() - new Date(b.joinedAt).getTime();
+    const seatsByName = new Map(); // Normalized name -> seats in join order
+    for (const participant of [...this.participants.values(), ...this.leftParticipants.values()]) {
+      const key = normalize(participant.name);
+      seatsByName.set(key, [...(seatsByName.get(key) || []), participant]);
+    }
+    for (const seats of seatsByName.values()) {
+      seats.sort(byJoinTime);
+    }
+
+    const attended = [];
+    const absent = [];
+    for (const invitee of this.expectedParticipants) {
+      const key = normalize(invitee.name);
+      const seats = seatsByName.get(key);
+      if (!seats) {
+        absent.push({ name: invitee.name, email: invitee.email });
+        continue;
+      }
+      seatsByName.delete(key);
+      const first = seats[0];
+      const last = seats[seats.length - 1];
+      attended.push({
+        name: invitee.name,
+        participantId: first.id,
+        participantIds: seats.map(p => p.id),
+        joinedAt: first.joinedAt,
+        lateBy: Math.max(0, Math.round((new Date(first.joinedAt).getTime() - scheduled) / 1000)),
+        leftEarly: this.leftParticipants.has(last.id),
+      });
+    }
+    const unexpected = Array.from(seatsByName.values()).flat().sort(byJoinTime).map(p => ({
+      participantId: p.id,
+      name: p.name,
+      role: p.role,
+    }));
+
+    const expected = this.expectedParticipants.length;
+    return {
+      scheduledStart: this.scheduledStart,
+      actualStart: this.startedAt,
+      startDelay: this.startedAt ? Math.round((new Date(this.startedAt).getTime() - scheduled) / 1000) : null, // Negative if opened early
+      expected,
+      attendanceRate: expected > 0 ? Math.round((attended.length / expected) * 100) : null,
+      attended,
+      absent,
+      unexpected, // Joined without being on the invite list (usually includes the moderator)
     };
   }
 
@@ -486,45 +2037,74 @@ export class Meeting {
   }
 
   /**
-   * Check for long turns and return participants who should be nudged
+   * Check for long turns and escalate speakers according to the long-turn policy
+   * Each escalation is recorded in the nudge history
+   * @returns {Array} Escalations: {participantId, participantName, duration, level, levelName, nudge}
    */
-  checkLongTurns() {
-    const longTurnParticipants = [];
+  checkLongTurns(now = Date.now()) {
+    const escalations = [];
+    const policy = {
+      threshold: this.settings.longTurnThreshold,
+      cooldown: this.settings.longTurnCooldown,
+      maxLevel: this.settings.longTurnMaxLevel,
+    };
     
     for (const participant of this.participants.values()) {
-      if (participant.isHost) continue; // Don't nudge host
+      if (!participant.isSpeaking) continue;
+      if (participant.isHost && !this.settings.longTurnIncludeHost) continue; // Don't nudge host by default
       
-      const longTurn = detectLongTurn(
-        participant.continuousSpeakingTime,
-        this.settings.longTurnThreshold
-      );
+      const next = evaluateLongTurn(participant, policy, now);
+      if (!next) continue;
+
+      participant.longTurnLevel = next.level;
+      participant.lastLongTurnAt = now;
+
+      const minutes = Math.floor(participant.continuousSpeakingTime / 60);
+      const seconds = Math.round(participant.continuousSpeakingTime % 60);
+      const duration = minutes > 0 ? `${minutes}m ${seconds}s` : `${seconds}s`;
+      const nudge = next.level === 1
+        ? this.sendNudge(null, participant.id, `You've been speaking for ${duration}. Consider pausing to let others contribute.`, next.template)
+        : next.level === 2
+          ? this.sendNudge(null, this.hostId, `${participant.name} has been speaking for ${duration}.`, next.template)
+          : this.sendNudge(null, null, `${participant.name} has held the floor for ${duration}.`, next.template);
       
-      if (longTurn.shouldNudge) {
-        longTurnParticipants.push({
-          participantId: participant.id,
-          participantName: participant.name,
-          duration: longTurn.duration,
-        });
-      }
+      escalations.push({
+        participantId: participant.id,
+        participantName: participant.name,
+        duration: participant.continuousSpeakingTime,
+        level: next.level,
+        levelName: next.name,
+        nudge,
+      });
     }
     
-    return longTurnParticipants;
+    return escalations;
   }
 
   /**
    * Check for quiet participants (haven't spoken in threshold time)
+   * Skips muted participants, measures silence from when metrics started or they
+   * joined (whichever is later), and respects the per-participant prompt cooldown
    */
-  checkQuietParticipants() {
+  checkQuietParticipants(now = Date.now()) {
     const quietParticipants = [];
-    const now = Date.now();
+    if (!this.metricsStartedAt) return quietParticipants;
+
     const threshold = this.settings.quietInviteThreshold * 1000; // Convert to ms
+    const cooldown = this.settings.quietInviteCooldown * 1000;
     
     for (const participant of this.participants.values()) {
-      if (participant.isHost || participant.isSpeaking) continue;
+      if (participant.isHost || participant.role === 'observer' || participant.isSpeaking || participant.isMuted) continue;
+      if (participant.breakoutRoom) continue; // Speaking in their room, not here
+      if (participant.lastQuietPromptAt && now - participant.lastQuietPromptAt < cooldown) continue;
       
-      const timeSinceLastSpoke = participant.lastSpokeAt
-        ? now - participant.lastSpokeAt
-        : now - participant.joinedAt;
+      const silentSince = Math.max(
+        participant.lastSpokeAt || 0,
+        participant.breakoutReturnedAt || 0, // Time in a breakout room doesn't count as silence
+        new Date(participant.joinedAt).getTime(),
+        new Date(this.metricsStartedAt).getTime()
+      );
+      const timeSinceLastSpoke = now - silentSince;
       
       if (timeSinceLastSpoke > threshold) {
         quietParticipants.push({
@@ -538,13 +2118,39 @@ export class Meeting {
     return quietParticipants;
   }
 
+  /**
+   * Record the prompts sent for a quiet participant and start their cooldown
+   * Always alerts the moderator; also invites the participant if autoInviteQuiet is on
+   * @returns {{alert: Object, invite: Object|null}} The recorded nudges
+   */
+  promptQuietParticipant(participantId, silenceDuration) {
+    const participant = this.participants.get(participantId);
+    if (!participant) return null;
+
+    participant.lastQuietPromptAt = Date.now();
+    const minutes = Math.max(1, Math.round(silenceDuration / 60));
+    const alert = this.sendNudge(
+      null,
+      this.hostId,
+      `${participant.name} hasn't spoken in ${minutes} minute${minutes === 1 ? '' : 's'}. Consider inviting them in.`,
+      'quiet_participant_alert'
+    );
+    const invite = this.settings.autoInviteQuiet
+      ? this.sendNudge(null, participantId, QUIET_INVITE_MESSAGE, 'quiet_invite')
+      : null;
+
+    return { alert, invite };
+  }
+
   /**
    * End the meeting
    */
   endMeeting() {
     if (!this.endedAt) {
       this.endedAt = new Date();
+      this.finishActiveAgendaItem(this.endedAt.getTime());
       console.log(`Meeting ${this.code} ended at ${this.endedAt}`);
+      this.touch();
     }
   }
 
@@ -560,6 +2166,7 @@ export class Meeting {
       responses: [],
     };
     console.log(`Icebreaker started for meeting ${this.code}: "${question}"`);
+    this.touch();
   }
 
   /**
@@ -586,6 +2193,7 @@ export class Meeting {
         });
       }
       console.log(`${participantName} responded to icebreaker in meeting ${this.code}: "${responseText}"`);
+      this.touch();
     }
   }
 
@@ -596,6 +2204,7 @@ export class Meeting {
     if (this.icebreaker.active) {
       this.icebreaker.active = false;
       console.log(`Icebreaker ended for meeting ${this.code}. ${this.icebreaker.responses.length} participants responded.`);
+      this.touch();
     }
   }
 
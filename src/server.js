@@ -4,6 +4,8 @@
  */
 
 import express from 'express';
+import fs from 'fs/promises';
+import path from 'path';
 import { createServer } from 'http';
 import { Server } from 'socket.io';
 import cors from 'cors';
@@ -11,6 +13,15 @@ import dotenv from 'dotenv';
 import './utils/setupLogging.js';
 import { MeetingService } from './services/MeetingService.js';
 import { AIService } from './services/AIService.js';
+import { ArchiveService } from './services/ArchiveService.js';
+import { ReportService } from './services/ReportService.js';
+import { SchedulingService, ScheduleLimitError } from './services/SchedulingService.js';
+import { AIUsageTracker } from './services/ai/AIUsageTracker.js';
+import { createAIProvider } from './services/ai/createAIProvider.js';
+import { createStorage } from './storage/createStorage.js';
+import { isAdminToken, verifyToken } from './utils/tokens.js';
+import { PRIVILEGED_ROLES, hasPermission, permissionDeniedMessage, requiresHostToken } from './utils/permissions.js';
+import { RateLimiter } from './utils/rateLimiter.js';
 
 dotenv.config();
 
@@ -32,19 +43,32 @@ app.use(cors({
 app.use(express.json());
 
 // Initialize services
-const meetingService = new MeetingService();
-const aiService = new AIService();
+const storage = createStorage();
+const meetingService = new MeetingService(storage);
+const archiveService = new ArchiveService(storage);
+const aiService = new AIService(createAIProvider(), new AIUsageTracker(storage));
+const reportService = new ReportService(storage, aiService);
+const schedulingService = new SchedulingService(storage, meetingService);
 
 // REST API Routes
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-app.get('/api/meetings/:code/summary', (req, res) => {
+app.get('/api/meetings/:code/summary', async (req, res) => {
   const { code } = req.params;
   const meeting = meetingService.getMeeting(code);
   
   if (!meeting) {
+    // Fall back to the archive once the ended meeting has been cleaned up
+    try {
+      const archived = await archiveService.getLatestArchive(code);
+      if (archived) {
+        return res.json(archived.summary);
+      }
+    } catch (error) {
+      console.error('[Archive] Failed to load archived summary:', error.message);
+    }
     return res.status(404).json({ error: 'Meeting not found' });
   }
 
@@ -52,17 +76,429 @@ app.get('/api/meetings/:code/summary', (req, res) => {
   res.json(summary);
 });
 
+// Status (and result, once completed) of the latest AI report job for a meeting
+app.get('/api/meetings/:code/report', (req, res) => {
+  const job = reportService.getLatestJobForCode(req.params.code);
+  if (!job) {
+    return res.status(404).json({ error: 'No report job for this meeting' });
+  }
+  res.json(job);
+});
+
+// Action items extracted by the meeting's end-of-meeting AI report
+app.get('/api/meetings/:code/action-items', (req, res) => {
+  const job = reportService.getLatestJobForCode(req.params.code);
+  if (!job) {
+    return res.status(404).json({ error: 'No report for this meeting (action items are extracted when it ends)' });
+  }
+
+  const response = {
+    meetingCode: job.meetingCode,
+    endedAt: job.endedAt,
+    jobStatus: job.status,
+    status: job.report ? job.report.aiStatus.actionItems : job.status,
+    actionItems: job.report ? job.report.actionItems : [],
+  };
+  // 202 while the background job is still working on it
+  res.status(job.status === 'queued' || job.status === 'running' ? 202 : 200).json(response);
+});
+
+// Status of a specific AI report job (id as sent in meetingEnded.reportJobId)
+app.get('/api/reports/:jobId', (req, res) => {
+  const job = reportService.getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Report job not found' });
+  }
+  res.json(job);
+});
+
+/**
+ * Parse an optional date query parameter (ISO string or epoch ms)
+ */
+function parseDateParam(value, name) {
+  if (value === undefined) return undefined;
+  const date = /^\d+$/.test(value) ? new Date(Number(value)) : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid ${name} date`);
+  }
+  return date;
+}
+
+/**
+ * Parse an optional numeric query parameter within [min, max]
+ */
+function parseNumberParam(value, name, min, max) {
+  if (value === undefined) return undefined;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || number > max) {
+    throw new Error(`${name} must be a number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+// List archived meetings (paginated, filterable by date/host/fairness range; admin only)
+app.get('/api/archive', requireAdmin, async (req, res) => {
+  let filters;
+  try {
+    filters = {
+      page: Math.floor(parseNumberParam(req.query.page, 'page', 1, Number.MAX_SAFE_INTEGER) ?? 1),
+      limit: Math.floor(parseNumberParam(req.query.limit, 'limit', 1, 100) ?? 20),
+      from: parseDateParam(req.query.from, 'from'),
+      to: parseDateParam(req.query.to, 'to'),
+      host: req.query.host || undefined,
+      minFairness: parseNumberParam(req.query.minFairness, 'minFairness', 0, 100),
+      maxFairness: parseNumberParam(req.query.maxFairness, 'maxFairness', 0, 100),
+    };
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    res.json(await archiveService.listArchives(filters));
+  } catch (error) {
+    console.error('[Archive] Failed to list archives:', error.message);
+    res.status(500).json({ error: 'Failed to list archived meetings' });
+  }
+});
+
+// List the archived occurrences of a meeting code the caller may read (host token or admin token as Bearer)
+app.get('/api/archive/:code', async (req, res) => {
+  try {
+    const meetings = await archiveService.listArchivesForCode(req.params.code);
+    if (meetings.length === 0) {
+      return res.status(404).json({ error: 'No archived meetings found for this code' });
+    }
+    const readable = meetings.filter(entry => canReadArchive(req, entry));
+    if (readable.length === 0) {
+      return res.status(403).json({ error: ARCHIVE_ACCESS_ERROR });
+    }
+    res.json({ meetings: readable });
+  } catch (error) {
+    console.error('[Archive] Failed to list archives for code:', error.message);
+    res.status(500).json({ error: 'Failed to list archived meetings' });
+  }
+});
+
+// Fetch a full archived meeting by code and end time (ISO string or epoch ms; host token or admin token as Bearer)
+app.get('/api/archive/:code/:endedAt', async (req, res) => {
+  let endedAt;
+  try {
+    endedAt = parseDateParam(req.params.endedAt, 'endedAt');
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const record = await archiveService.getArchive(req.params.code, endedAt);
+    if (!record) {
+      return res.status(404).json({ error: 'Archived meeting not found' });
+    }
+    if (!canReadArchive(req, record)) {
+      return res.status(403).json({ error: ARCHIVE_ACCESS_ERROR });
+    }
+    res.json(record);
+  } catch (error) {
+    console.error('[Archive] Failed to load archive:', error.message);
+    res.status(500).json({ error: 'Failed to load archived meeting' });
+  }
+});
+
+// Fairness over time: timeline snapshots plus metrics for an arbitrary window
+// Query: from/to (ISO or epoch ms, default whole meeting), windowSeconds (rolling window, default meeting setting)
+app.get('/api/meetings/:code/fairness', (req, res) => {
+  const meeting = meetingService.getMeeting(req.params.code);
+  if (!meeting) {
+    return res.status(404).json({ error: 'Meeting not found' });
+  }
+
+  let from;
+  let to;
+  let windowSeconds;
+  try {
+    from = parseDateParam(req.query.from, 'from');
+    to = parseDateParam(req.query.to, 'to');
+    windowSeconds = parseNumberParam(req.query.windowSeconds, 'windowSeconds', 10, 24 * 60 * 60);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  const now = Date.now();
+  const start = from ? from.getTime() : 0;
+  const end = to ? to.getTime() : now;
+  const rollingSeconds = windowSeconds ?? meeting.settings.rollingWindowSeconds;
+
+  res.json({
+    meetingCode: meeting.code,
+    metricsStartedAt: meeting.metricsStartedAt,
+    timeline: meeting.fairnessTimeline.filter(s => s.timestamp >= start && s.timestamp <= end),
+    window: meeting.getWindowMetrics(start, end),
+    rolling: meeting.getWindowMetrics(now - rollingSeconds * 1000, now),
+    trend: meeting.getFairnessTrend(now),
+  });
+});
+
+/**
+ * Extract a bearer token from the Authorization header
+ */
+function getBearerToken(req) {
+  const header = req.get('authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme && scheme.toLowerCase() === 'bearer' ? token : null;
+}
+
+/**
+ * Admin routes require ADMIN_TOKEN as a Bearer token; they are disabled when it is unset
+ */
+function requireAdmin(req, res, next) {
+  if (!process.env.ADMIN_TOKEN) {
+    return res.status(503).json({ error: 'Admin API is disabled (ADMIN_TOKEN not set)' });
+  }
+  if (!isAdminToken(getBearerToken(req))) {
+    return res.status(401).json({ error: 'Invalid admin token' });
+  }
+  next();
+}
+
+const ARCHIVE_ACCESS_ERROR = 'A host token for this meeting or the admin token is required';
+
+/**
+ * Whether a request may read an archived meeting
+ * Admins may read every archive. Otherwise a host token for that meeting is needed;
+ * codes are reused, so the token must have been issued while that occurrence ran.
+ * @param {Object} entry - Archive record or listing entry (meetingCode, startedAt, endedAt)
+ */
+function canReadArchive(req, entry) {
+  const token = getBearerToken(req);
+  if (isAdminToken(token)) return true;
+
+  const claims = verifyToken(token);
+  if (!claims || claims.type !== 'host' || claims.code !== entry.meetingCode) return false;
+  return claims.iat >= new Date(entry.startedAt).getTime() && claims.iat <= new Date(entry.endedAt).getTime();
+}
+
+// Global AI usage: totals, budgets, per-meeting overview and recent calls
+app.get('/api/admin/ai-usage', requireAdmin, (req, res) => {
+  res.json(aiService.usage.getGlobalUsage());
+});
+
+// AI usage and budget status for one meeting
+app.get('/api/admin/ai-usage/:code', requireAdmin, (req, res) => {
+  const usage = aiService.usage.getMeetingUsage(req.params.code);
+  if (!usage) {
+    return res.status(404).json({ error: 'No AI usage recorded for this meeting' });
+  }
+  res.json(usage);
+});
+
+// Update meeting settings (moderator only - host token as Bearer)
+app.patch('/api/meetings/:code/settings', (req, res) => {
+  const meeting = meetingService.getMeeting(req.params.code);
+  if (!meeting || meeting.endedAt) {
+    return res.status(404).json({ error: 'Meeting not found' });
+  }
+
+  const actor = meetingService.authenticatePrivileged(meeting, getBearerToken(req));
+  if (!actor || !hasPermission(actor.role, 'updateSettings')) {
+    return res.status(403).json({ error: permissionDeniedMessage('updateSettings', 'update meeting settings') });
+  }
+
+  try {
+    const settings = meeting.updateSettings(req.body);
+    io.to(meeting.code).emit('meetingSettingsUpdated', { settings });
+    res.json({ settings });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Scheduling needs no account: new schedules per client address per hour
+const scheduleLimiter = new RateLimiter({
+  limit: Number(process.env.SCHEDULE_RATE_LIMIT_PER_HOUR) || 20,
+  windowMs: 60 * 60 * 1000,
+});
+
+// Schedule a meeting ahead of time: reserves the code and returns the token that manages and opens it
+app.post('/api/schedules', async (req, res) => {
+  const retryAfter = Math.ceil(scheduleLimiter.retryAfter(req.ip) / 1000);
+  if (retryAfter > 0) {
+    res.set('Retry-After', String(retryAfter));
+    return res.status(429).json({ error: `Too many meetings scheduled from this address. Try again in ${retryAfter}s.` });
+  }
+  scheduleLimiter.hit(req.ip);
+
+  try {
+    const { schedule, scheduleToken } = await schedulingService.scheduleMeeting(req.body, req.ip);
+    res.status(201).json({ schedule, scheduleToken });
+  } catch (error) {
+    res.status(error instanceof ScheduleLimitError ? 429 : 400).json({ error: error.message });
+  }
+});
+
+// Scheduled meeting status for invitees; the full schedule with the schedule token as Bearer
+app.get('/api/schedules/:code', (req, res) => {
+  const schedule = schedulingService.getSchedule(req.params.code);
+  if (schedule) {
+    const authorized = schedulingService.authenticate(getBearerToken(req), schedule.code);
+    return res.json(authorized ? schedulingService.toOwner(schedule) : schedulingService.toPublic(schedule));
+  }
+
+  // Once opened, the schedule lives on in the meeting
+  const meeting = meetingService.getMeeting(req.params.code);
+  if (meeting && meeting.scheduledStart && !meeting.endedAt) {
+    return res.json({ code: meeting.code, title: meeting.title, startTime: meeting.scheduledStart, status: 'open' });
+  }
+  res.status(404).json({ error: 'Scheduled meeting not found' });
+});
+
+// Change a scheduled meeting before it opens (schedule token as Bearer)
+app.patch('/api/schedules/:code', async (req, res) => {
+  const schedule = schedulingService.authenticate(getBearerToken(req), req.params.code);
+  if (!schedule) {
+    return res.status(404).json({ error: 'Scheduled meeting not found or invalid schedule token' });
+  }
+
+  try {
+    res.json(await schedulingService.updateSchedule(schedule, req.body));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Cancel a scheduled meeting and free its code (schedule token as Bearer)
+app.delete('/api/schedules/:code', async (req, res) => {
+  const schedule = schedulingService.authenticate(getBearerToken(req), req.params.code);
+  if (!schedule) {
+    return res.status(404).json({ error: 'Scheduled meeting not found or invalid schedule token' });
+  }
+
+  try {
+    await schedulingService.cancelSchedule(schedule);
+    res.status(204).end();
+  } catch (error) {
+    console.error('[SchedulingService] Failed to cancel schedule:', error.message);
+    res.status(500).json({ error: 'Failed to cancel scheduled meeting' });
+  }
+});
+
+// On-demand AI requests (getAISuggestions, getKeyInsights): sliding-window limits per participant and per meeting
+const AI_REQUEST_WINDOW_MS = 60000;
+const aiRequestLimiters = {
+  participant: new RateLimiter({
+    limit: Number(process.env.AI_RATE_LIMIT_PER_PARTICIPANT) || 3,
+    windowMs: AI_REQUEST_WINDOW_MS,
+  }),
+  meeting: new RateLimiter({
+    limit: Number(process.env.AI_RATE_LIMIT_PER_MEETING) || 10,
+    windowMs: AI_REQUEST_WINDOW_MS,
+  }),
+};
+
+/**
+ * Serve an on-demand AI request from the meeting's cache or, within rate limits, a fresh model call
+ * Results are cached per transcript version, so repeats with no new speech cost nothing
+ * and don't count against the limits. Only successful results are cached.
+ * @param {Socket} socket - Requesting socket (receives rateLimited)
+ * @param {Meeting} meeting
+ * @param {Object} participant - Requesting participant
+ * @param {string} event - Socket event name; also the cache key
+ * @param {Function} generate - () => Promise<{ status, ... }>
+ * @returns {Promise<{ result: Object, cached: boolean }|null>} null when rate limited
+ */
+async function runOnDemandAIRequest(socket, meeting, participant, event, generate) {
+  const cached = meeting.aiResultCache.get(event);
+  if (cached && cached.version === meeting.transcriptVersion) {
+    return { result: await cached.promise, cached: true };
+  }
+
+  const now = Date.now();
+  const participantKey = `${event}:${meeting.code}:${participant.id}`;
+  const meetingKey = `${event}:${meeting.code}`;
+  const participantWait = aiRequestLimiters.participant.retryAfter(participantKey, now);
+  const meetingWait = aiRequestLimiters.meeting.retryAfter(meetingKey, now);
+  if (participantWait > 0 || meetingWait > 0) {
+    const scope = participantWait >= meetingWait ? 'participant' : 'meeting';
+    const retryAfter = Math.ceil(Math.max(participantWait, meetingWait) / 1000);
+    socket.emit('rateLimited', {
+      event,
+      scope,
+      retryAfter, // seconds
+      message: scope === 'participant'
+        ? `You're making too many AI requests. Try again in ${retryAfter}s.`
+        : `This meeting is making too many AI requests. Try again in ${retryAfter}s.`,
+    });
+    console.log(`[RateLimit] ${event} limited for ${participant.name} in meeting ${meeting.code} (${scope}, ${retryAfter}s)`);
+    return null;
+  }
+  aiRequestLimiters.participant.hit(participantKey, now);
+  aiRequestLimiters.meeting.hit(meetingKey, now);
+
+  // Concurrent requests for the same transcript version share this call
+  const entry = { version: meeting.transcriptVersion, promise: generate() };
+  meeting.aiResultCache.set(event, entry);
+
+  const forget = () => {
+    if (meeting.aiResultCache.get(event) === entry) meeting.aiResultCache.delete(event);
+  };
+  try {
+    const result = await entry.promise;
+    if (result.status !== 'ok') forget();
+    return { result, cached: false };
+  } catch (error) {
+    forget();
+    throw error;
+  }
+}
+
 // WebSocket Connection Handler
 io.on('connection', (socket) => {
   console.log('Client connected:', socket.id);
 
-  // Check for existing meeting by moderator name
-  socket.on('checkExistingMeeting', ({ hostName }) => {
-    console.log(`[checkExistingMeeting] Checking for existing meeting by moderator: ${hostName}`);
-    const existingMeeting = meetingService.findMeetingByModeratorName(hostName);
+  /**
+   * Bind this socket to a meeting seat - all later events act as this participant
+   */
+  const bindSocket = (meetingCode, participantId) => {
+    socket.data.meetingCode = meetingCode;
+    socket.data.participantId = participantId;
+  };
+
+  /**
+   * Resolve the meeting and acting participant bound to this socket
+   * Identity always comes from the socket's join, never from event payloads
+   */
+  const getSocketParticipant = () => {
+    const { meetingCode, participantId } = socket.data;
+    const meeting = meetingCode ? meetingService.getMeeting(meetingCode) : null;
+    const participant = meeting ? meeting.participants.get(participantId) : null;
+    return { meeting, participant };
+  };
+
+  /**
+   * Check that the participant bound to this socket may perform an action
+   * Their role must grant the permission (see utils/permissions.js). Permissions
+   * beyond what regular participants have also need the participant's own signed
+   * host token. Emits an error to the socket and returns null when denied.
+   * @returns {Object|null} The acting participant
+   */
+  const requirePermission = (meeting, hostToken, permission, action) => {
+    const actor = meeting.participants.get(socket.data.participantId);
+    const allowed = actor && hasPermission(actor.role, permission) && (
+      !requiresHostToken(permission)
+      || meetingService.authenticatePrivileged(meeting, hostToken)?.id === actor.id
+    );
+    if (!allowed) {
+      socket.emit('error', { message: permissionDeniedMessage(permission, action) });
+      return null;
+    }
+    return actor;
+  };
+
+  // Check for an existing meeting this moderator can resume (requires host token)
+  socket.on('checkExistingMeeting', ({ hostToken } = {}) => {
+    console.log('[checkExistingMeeting] Checking for existing meeting by host token');
+    const existingMeeting = meetingService.findMeetingByHostToken(hostToken);
     
     if (existingMeeting) {
-      console.log(`[checkExistingMeeting] Found existing meeting ${existingMeeting.code} for moderator ${hostName}`);
+      console.log(`[checkExistingMeeting] Found existing meeting ${existingMeeting.code} for host ${existingMeeting.hostId}`);
       socket.emit('existingMeetingFound', {
         meetingCode: existingMeeting.code,
         hostId: existingMeeting.hostId,
@@ -70,17 +506,26 @@ io.on('connection', (socket) => {
         startedAt: existingMeeting.meeting.startedAt,
       });
     } else {
-      console.log(`[checkExistingMeeting] No existing meeting found for moderator ${hostName}`);
+      console.log('[checkExistingMeeting] No existing meeting found for host token');
       socket.emit('noExistingMeeting');
     }
   });
 
-  // Create new meeting
-  socket.on('createMeeting', ({ hostName }) => {
+  // Create new meeting, or open a scheduled one with its schedule token
+  socket.on('createMeeting', ({ hostName, scheduleToken } = {}) => {
     try {
-      const { meeting, hostId } = meetingService.createMeeting(hostName, socket.id);
+      const schedule = scheduleToken ? schedulingService.authenticate(scheduleToken) : null;
+      if (scheduleToken && !schedule) {
+        throw new Error('Scheduled meeting not found or invalid schedule token');
+      }
+      const { meeting, hostId, hostToken } = meetingService.createMeeting(hostName, socket.id, schedule);
+      if (schedule) {
+        schedulingService.release(schedule.code);
+      }
+      aiService.usage.resetMeeting(meeting.code); // Codes are reused; don't inherit an old meeting's AI budget
       
       socket.join(meeting.code);
+      bindSocket(meeting.code, hostId);
       
       // Store socket ID in participant for WebRTC signaling
       const hostParticipant = meeting.participants.get(hostId);
@@ -94,6 +539,10 @@ io.on('connection', (socket) => {
       socket.emit('meetingCreated', {
         meetingCode: meeting.code,
         hostId,
+        hostToken, // Must be presented with every moderator-only event and to resume the meeting
+        title: meeting.title,
+        scheduledStart: meeting.scheduledStart,
+        expectedParticipants: meeting.expectedParticipants,
         participants: meeting.getParticipantsArray(),
       });
 
@@ -104,9 +553,11 @@ io.on('connection', (socket) => {
         queue: [],
         metricsStarted: !!meeting.metricsStartedAt,
         chatMessages: meeting.getChatMessages(),
+        settings: meeting.settings,
+        agenda: meeting.getAgenda(),
       });
 
-      console.log(`Meeting created: ${meeting.code} by ${hostName} (${hostId})`);
+      console.log(`Meeting ${schedule ? 'opened' : 'created'}: ${meeting.code} by ${hostName} (${hostId})`);
       console.log(`Participants:`, meeting.getParticipantsArray());
     } catch (error) {
       socket.emit('error', { message: error.message });
@@ -114,27 +565,55 @@ io.on('connection', (socket) => {
   });
 
   // Join existing meeting
-  socket.on('joinMeeting', ({ name, code, participantId: existingParticipantId }) => {
+  socket.on('joinMeeting', ({ name, code, participantId: existingParticipantId, reconnectToken: existingReconnectToken, hostToken, observer }) => {
     try {
-      const { meeting, participant, participantId } = meetingService.joinMeeting(
+      const { meeting, participant, participantId, reconnectToken } = meetingService.joinMeeting(
         code,
         name,
         socket.id,
-        existingParticipantId // Pass existing participant ID for reconnection
+        {
+          participantId: existingParticipantId, // Reconnection requires the matching reconnect token
+          reconnectToken: existingReconnectToken,
+          hostToken, // Moderator reconnection
+          observer, // Silent note-takers/researchers: excluded from speaking metrics
+        }
       );
 
-      socket.join(code);
-      
       // Store socket ID in participant for WebRTC signaling
       participant.socketId = socket.id;
+
+      // Reconnecting while away in a breakout room puts the participant straight back in it
+      const breakoutRoom = participant.breakoutRoom ? meetingService.getMeeting(participant.breakoutRoom) : null;
+      if (breakoutRoom) {
+        breakoutRoom.addParticipant(participantId, participant.name, socket.id); // Restores the room seat's socket
+        socket.join(breakoutRoom.code);
+        bindSocket(breakoutRoom.code, participantId);
+        socket.emit('meetingJoined', {
+          meetingCode: code,
+          participantId,
+          reconnectToken,
+          role: participant.role,
+          participants: meeting.getParticipantsArray(),
+          metricsStarted: !!meeting.metricsStartedAt,
+        });
+        socket.emit('breakoutJoined', breakoutJoinedPayload(meeting, breakoutRoom, participantId));
+        socket.to(breakoutRoom.code).emit('webrtc-new-peer', { peerId: participantId, peerName: participant.name });
+        console.log(`[joinMeeting] ${name} rejoined breakout room ${breakoutRoom.code}`);
+        return;
+      }
+
+      socket.join(code);
+      bindSocket(code, participantId);
       
-      const role = participant.isHost ? 'moderator' : 'participant';
+      const { role } = participant;
       console.log(`[joinMeeting] ${name} joined as ${role} (isHost: ${participant.isHost}, participantId: ${participantId})`);
       
       socket.emit('meetingJoined', {
         meetingCode: code,
         participantId,
+        reconnectToken, // Secret - present with participantId to reclaim this seat after a disconnect
         role,
+        title: meeting.title,
         participants: meeting.getParticipantsArray(),
         metricsStarted: !!meeting.metricsStartedAt,
       });
@@ -150,6 +629,8 @@ io.on('connection', (socket) => {
         inQueue: false,
         avatar: participant.avatar,
         isHost: participant.isHost,
+        role: participant.role,
+        isObserver: participant.role === 'observer',
         isMuted: participant.isMuted !== undefined ? participant.isMuted : false,
         isVideoOff: participant.isVideoOff !== undefined ? participant.isVideoOff : false,
       };
@@ -161,6 +642,11 @@ io.on('connection', (socket) => {
       
       console.log(`Notified all participants in ${code} about new joiner: ${participant.name}`);
 
+      // Round-robin mode queues new joiners automatically
+      if (participant.inQueue) {
+        emitQueueUpdate(meeting);
+      }
+
       // Notify ALL existing participants (including moderator) to create peer connection with new joiner
       socket.to(code).emit('webrtc-new-peer', {
         peerId: participantId,
@@ -200,12 +686,15 @@ io.on('connection', (socket) => {
       socket.emit('meetingState', {
         participants: meeting.getParticipantsArray(),
         analytics: meeting.analytics,
-        queue: meeting.queue.map(id => {
-          const p = meeting.participants.get(id);
-          return p ? { id: p.id, name: p.name, position: p.queuePosition } : null;
-        }).filter(Boolean),
+        queue: meeting.getQueueArray(),
+        turnMode: meeting.turnMode,
+        speakingSlot: meeting.getSpeakingSlot(),
         metricsStarted: !!meeting.metricsStartedAt,
         chatMessages: meeting.getChatMessages(),
+        settings: meeting.settings,
+        liveNotes: meeting.liveNotes, // Lets late joiners catch up on decisions and action items
+        agenda: meeting.getAgenda(),
+        breakout: meeting.getBreakoutState(),
       });
 
       console.log(`${name} joined meeting ${code}`);
@@ -215,11 +704,12 @@ io.on('connection', (socket) => {
   });
 
   // Update speaking status
-  socket.on('updateSpeakingStatus', ({ meetingCode, participantId, isSpeaking }) => {
-    const meeting = meetingService.getMeeting(meetingCode);
-    if (!meeting) return;
+  socket.on('updateSpeakingStatus', ({ isSpeaking }) => {
+    const { meeting, participant } = getSocketParticipant();
+    if (!participant) return;
+    const meetingCode = meeting.code;
 
-    meeting.updateSpeakingStatus(participantId, isSpeaking);
+    meeting.updateSpeakingStatus(participant.id, isSpeaking);
     meeting.calculateFairnessMetrics();
 
     // Broadcast to all participants
@@ -227,28 +717,20 @@ io.on('connection', (socket) => {
       participants: meeting.getParticipantsArray(),
       analytics: meeting.analytics,
     });
-
-    // Check for long turns
-    const longTurns = meeting.checkLongTurns();
-    longTurns.forEach(({ participantId: pId, participantName, duration }) => {
-      io.to(meetingCode).emit('longTurnDetected', {
-        participantId: pId,
-        participantName,
-        duration: Math.round(duration),
-      });
-    });
   });
 
   // Add transcript text (from speech recognition)
   // Track last sent transcript per participant to prevent duplicates
   const lastTranscripts = new Map(); // Map<meetingCode-participantId, {text, timestamp}>
   
-  socket.on('addTranscriptText', ({ meetingCode, participantId, text }) => {
-    const meeting = meetingService.getMeeting(meetingCode);
-    if (!meeting) {
-      console.warn(`[Transcript] Meeting ${meetingCode} not found for transcript text`);
+  socket.on('addTranscriptText', ({ text }) => {
+    const { meeting, participant } = getSocketParticipant();
+    if (!participant) {
+      console.warn(`[Transcript] No participant bound to socket ${socket.id} for transcript text`);
       return;
     }
+    const meetingCode = meeting.code;
+    const participantId = participant.id;
 
     if (!text || text.trim().length === 0) {
       console.warn(`[Transcript] Empty text received for participant ${participantId}`);
@@ -266,13 +748,6 @@ io.on('connection', (socket) => {
       return;
     }
 
-    // Get participant info to verify and log
-    const participant = meeting.participants.get(participantId);
-    if (!participant) {
-      console.warn(`[Transcript] Participant ${participantId} not found in meeting ${meetingCode}`);
-      return;
-    }
-    
     const participantName = participant.name;
     console.log(`[Transcript] Text from ${participantName} (${participantId}): "${trimmedText.substring(0, 50)}${trimmedText.length > 50 ? '...' : ''}"`);
 
@@ -293,25 +768,31 @@ io.on('connection', (socket) => {
   });
 
   // Get AI topic suggestions
-  socket.on('getAISuggestions', async ({ meetingCode }) => {
-    const meeting = meetingService.getMeeting(meetingCode);
-    if (!meeting) {
+  socket.on('getAISuggestions', async () => {
+    const { meeting, participant } = getSocketParticipant();
+    if (!participant) {
       socket.emit('error', { message: 'Meeting not found' });
       return;
     }
 
     try {
-      const suggestions = await aiService.generateTopicSuggestions({
-        participants: Array.from(meeting.participants.values()).map(p => ({
-          name: p.name,
-          speakingTime: p.speakingTime,
-        })),
-        duration: meeting.metricsStartedAt ? (Date.now() - meeting.metricsStartedAt) / 1000 : 0,
-        transcript: meeting.transcript,
-      });
+      const response = await runOnDemandAIRequest(socket, meeting, participant, 'getAISuggestions', () => (
+        aiService.generateTopicSuggestions({
+          meetingCode: meeting.code,
+          participants: Array.from(meeting.participants.values()).filter(p => p.role !== 'observer').map(p => ({
+            name: p.name,
+            speakingTime: p.speakingTime,
+          })),
+          duration: meeting.metricsStartedAt ? (Date.now() - meeting.metricsStartedAt) / 1000 : 0,
+          transcript: meeting.transcript,
+        })
+      ));
+      if (!response) return;
 
       socket.emit('aiSuggestions', {
-        suggestions,
+        status: response.result.status,
+        suggestions: response.result.suggestions,
+        cached: response.cached,
       });
     } catch (error) {
       console.error('[AI] Error generating suggestions:', error);
@@ -320,28 +801,34 @@ io.on('connection', (socket) => {
   });
 
   // Get AI key insights
-  socket.on('getKeyInsights', async ({ meetingCode }) => {
-    const meeting = meetingService.getMeeting(meetingCode);
-    if (!meeting) {
+  socket.on('getKeyInsights', async () => {
+    const { meeting, participant } = getSocketParticipant();
+    if (!participant) {
       socket.emit('error', { message: 'Meeting not found' });
       return;
     }
 
     try {
-      const analytics = meeting.calculateAnalytics();
-      const insights = await aiService.generateKeyInsights({
-        participants: Array.from(meeting.participants.values()).map(p => ({
-          name: p.name,
-          speakingTime: p.speakingTime,
-          turnCount: p.turnCount,
-        })),
-        duration: meeting.metricsStartedAt ? (Date.now() - meeting.metricsStartedAt) / 1000 : 0,
-        fairnessScore: analytics.fairnessScore,
-        transcript: meeting.transcript,
+      const response = await runOnDemandAIRequest(socket, meeting, participant, 'getKeyInsights', () => {
+        meeting.calculateFairnessMetrics();
+        return aiService.generateKeyInsights({
+          meetingCode: meeting.code,
+          participants: Array.from(meeting.participants.values()).filter(p => p.role !== 'observer').map(p => ({
+            name: p.name,
+            speakingTime: p.speakingTime,
+            turnCount: p.turnCount,
+          })),
+          duration: meeting.metricsStartedAt ? (Date.now() - meeting.metricsStartedAt) / 1000 : 0,
+          fairnessScore: meeting.analytics.fairnessScore,
+          transcript: meeting.transcript,
+        });
       });
+      if (!response) return;
 
       socket.emit('keyInsights', {
-        insights,
+        status: response.result.status,
+        insights: response.result.insights,
+        cached: response.cached,
       });
     } catch (error) {
       console.error('[AI] Error generating key insights:', error);
@@ -350,84 +837,137 @@ io.on('connection', (socket) => {
   });
 
   // Raise hand / Add to queue
-  socket.on('raiseHand', ({ meetingCode, participantId }) => {
-    const meeting = meetingService.getMeeting(meetingCode);
-    if (!meeting) return;
-
-    const added = meeting.addToQueue(participantId);
+  // kind: 'new_point' (default) or 'direct_reply', which goes ahead of new points
+  socket.on('raiseHand', ({ kind } = {}) => {
+    const { meeting, participant } = getSocketParticipant();
+    if (!participant) return;
+    if (!requirePermission(meeting, null, 'raiseHand', 'raise a hand')) return;
+    const participantId = participant.id;
+
+    let added;
+    try {
+      added = meeting.addToQueue(participantId, kind);
+    } catch (error) {
+      socket.emit('error', { message: error.message });
+      return;
+    }
     if (added) {
-      const participant = meeting.participants.get(participantId);
-      
-      // Notify moderator
-      const host = Array.from(meeting.participants.values()).find(p => p.isHost);
-      if (host) {
-        io.to(host.socketId).emit('handRaised', {
-          participantId,
-          participantName: participant.name,
-          queuePosition: participant.queuePosition,
-        });
-      }
+      emitToModerators(meeting, 'handRaised', {
+        participantId,
+        participantName: participant.name,
+        queuePosition: participant.queuePosition,
+        kind: participant.handKind,
+      });
 
       // Broadcast queue update
-      io.to(meetingCode).emit('queueUpdate', {
-        queue: meeting.queue.map(id => {
-          const p = meeting.participants.get(id);
-          return p ? { id: p.id, name: p.name, position: p.queuePosition } : null;
-        }).filter(Boolean),
-      });
+      emitQueueUpdate(meeting);
     }
   });
 
   // Remove from queue
-  socket.on('removeFromQueue', ({ meetingCode, participantId }) => {
-    const meeting = meetingService.getMeeting(meetingCode);
-    if (!meeting) return;
+  // Participants lower their own hand; removing someone else requires the host token
+  socket.on('removeFromQueue', ({ participantId, hostToken } = {}) => {
+    const { meeting, participant } = getSocketParticipant();
+    if (!participant) return;
 
-    meeting.removeFromQueue(participantId);
-    
-    io.to(meetingCode).emit('queueUpdate', {
-      queue: meeting.queue.map(id => {
-        const p = meeting.participants.get(id);
-        return p ? { id: p.id, name: p.name, position: p.queuePosition } : null;
-      }).filter(Boolean),
-    });
+    const targetId = participantId || participant.id;
+    if (targetId !== participant.id && !requirePermission(meeting, hostToken, 'manageQueue', 'remove others from queue')) return;
+
+    meeting.removeFromQueue(targetId);
+    emitQueueUpdate(meeting);
   });
 
   // Reorder queue (moderator only)
-  socket.on('reorderQueue', ({ meetingCode, newOrder }) => {
-    const meeting = meetingService.getMeeting(meetingCode);
+  socket.on('reorderQueue', ({ newOrder, hostToken }) => {
+    const { meeting } = getSocketParticipant();
     if (!meeting) return;
 
-    const participant = Array.from(meeting.participants.values())
-      .find(p => p.socketId === socket.id);
-    
-    if (!participant || !participant.isHost) {
-      socket.emit('error', { message: 'Only moderator can reorder queue' });
-      return;
+    if (!requirePermission(meeting, hostToken, 'manageQueue', 'reorder queue')) return;
+
+    try {
+      const success = meeting.reorderQueue(newOrder);
+      if (success) {
+        emitQueueUpdate(meeting);
+      }
+    } catch (error) {
+      socket.emit('error', { message: error.message });
     }
+  });
 
-    const success = meeting.reorderQueue(newOrder);
-    if (success) {
-      io.to(meetingCode).emit('queueUpdate', {
-        queue: meeting.queue.map(id => {
-          const p = meeting.participants.get(id);
-          return p ? { id: p.id, name: p.name, position: p.queuePosition } : null;
-        }).filter(Boolean),
-      });
+  /**
+   * Apply a moderator turn-taking change and broadcast the resulting queue
+   * @param {string} action - Used in the permission error message
+   * @param {Function} change - (meeting) => void; may throw a validation error
+   */
+  const handleTurnChange = (hostToken, action, change) => {
+    const { meeting } = getSocketParticipant();
+    if (!meeting) return;
+
+    if (!requirePermission(meeting, hostToken, 'manageQueue', action)) return;
+
+    try {
+      change(meeting);
+      emitQueueUpdate(meeting);
+    } catch (error) {
+      socket.emit('error', { message: error.message });
     }
+  };
+
+  // Switch between open, timed and round-robin turn modes (moderator only)
+  socket.on('setTurnMode', ({ mode, hostToken } = {}) => {
+    handleTurnChange(hostToken, 'change the turn mode', (meeting) => {
+      const slot = meeting.setTurnMode(mode);
+      if (slot) announceSlotAdvance(meeting, { slot, roundRobinComplete: false });
+      console.log(`[Turns] Meeting ${meeting.code} switched to ${mode} mode`);
+    });
+  });
+
+  // Give the floor to the next in queue, skipping the current speaker (moderator only)
+  socket.on('nextSpeaker', ({ hostToken } = {}) => {
+    handleTurnChange(hostToken, 'advance the queue', (meeting) => {
+      if (meeting.turnMode === 'open') {
+        throw new Error('Speaking slots are only used in timed and round-robin modes');
+      }
+      announceSlotAdvance(meeting, meeting.advanceSpeakingSlot());
+    });
+  });
+
+  // Give the floor to a specific participant out of queue order (moderator only)
+  socket.on('grantSpeakingSlot', ({ participantId, hostToken } = {}) => {
+    handleTurnChange(hostToken, 'grant the floor', (meeting) => {
+      const slot = meeting.startSpeakingSlot(participantId);
+      announceSlotAdvance(meeting, { slot, roundRobinComplete: false });
+    });
+  });
+
+  // Add time to the current slot (moderator only)
+  socket.on('extendSpeakingSlot', ({ seconds, hostToken } = {}) => {
+    handleTurnChange(hostToken, 'extend a speaking slot', (meeting) => {
+      meeting.extendSpeakingSlot(seconds);
+    });
+  });
+
+  // Free the floor without advancing the queue (moderator only)
+  socket.on('endSpeakingSlot', ({ hostToken } = {}) => {
+    handleTurnChange(hostToken, 'end a speaking slot', (meeting) => {
+      meeting.endSpeakingSlot();
+    });
   });
 
   // Send nudge
-  socket.on('sendNudge', ({ meetingCode, fromParticipantId, toParticipantId, message, template }) => {
-    const meeting = meetingService.getMeeting(meetingCode);
-    if (!meeting) return;
+  socket.on('sendNudge', ({ toParticipantId, message, template }) => {
+    const { meeting, participant: fromParticipant } = getSocketParticipant();
+    if (!fromParticipant) return;
+    if (!requirePermission(meeting, null, 'sendNudge', 'send nudges')) return;
 
-    const fromParticipant = meeting.participants.get(fromParticipantId);
     const toParticipant = meeting.participants.get(toParticipantId);
-    
-    if (!fromParticipant || !toParticipant) return;
+    if (!toParticipant) return;
+    if (toParticipant.role === 'observer') {
+      socket.emit('error', { message: "Observers don't receive nudges" });
+      return;
+    }
 
-    const nudge = meeting.sendNudge(fromParticipantId, toParticipantId, message, template);
+    const nudge = meeting.sendNudge(fromParticipant.id, toParticipantId, message, template);
 
     // Send nudge privately to recipient
     io.to(toParticipant.socketId).emit('nudgeReceived', {
@@ -437,38 +977,43 @@ io.on('connection', (socket) => {
       template: nudge.template,
     });
 
-    // Notify moderator
-    const host = Array.from(meeting.participants.values()).find(p => p.isHost);
-    if (host) {
-      io.to(host.socketId).emit('nudgeSent', {
-        from: fromParticipant.name,
-        to: toParticipant.name,
-        message: nudge.message,
-      });
-    }
+    emitToModerators(meeting, 'nudgeSent', {
+      from: fromParticipant.name,
+      to: toParticipant.name,
+      message: nudge.message,
+    });
   });
 
   // Start Icebreaker
-  socket.on('startIcebreaker', async ({ meetingCode, duration }) => {
-    console.log(`[startIcebreaker] Request for meeting ${meetingCode}`);
-    const meeting = meetingService.getMeeting(meetingCode);
+  socket.on('startIcebreaker', async ({ duration, hostToken }) => {
+    const { meeting } = getSocketParticipant();
     if (!meeting) {
       socket.emit('error', { message: 'Meeting not found' });
       return;
     }
+    const meetingCode = meeting.code;
+    console.log(`[startIcebreaker] Request for meeting ${meetingCode}`);
 
-    const participant = Array.from(meeting.participants.values())
-      .find(p => p.socketId === socket.id);
-    
-    if (!participant || !participant.isHost) {
-      socket.emit('error', { message: 'Only moderator can start icebreaker' });
-      return;
-    }
+    if (!requirePermission(meeting, hostToken, 'runIcebreaker', 'start icebreaker')) return;
 
     try {
       // Generate icebreaker question using AI
       console.log('[startIcebreaker] Generating icebreaker question...');
-      const question = await aiService.generateIcebreaker('professional team meeting');
+      const agendaTitles = meeting.agenda.map(item => item.title);
+      const meetingContext = agendaTitles.length > 0
+        ? `professional team meeting covering: ${agendaTitles.join('; ')}`
+        : 'professional team meeting';
+      const result = await aiService.generateIcebreaker(meetingContext, { meetingCode });
+      if (result.status !== 'ok') {
+        // No canned question - the moderator decides whether to retry or skip the icebreaker
+        socket.emit('icebreakerUnavailable', {
+          status: result.status,
+          message: 'AI is unavailable, so no icebreaker question could be generated. Try again later.',
+        });
+        console.warn(`[startIcebreaker] AI unavailable for meeting ${meetingCode}: ${result.error}`);
+        return;
+      }
+      const { question } = result;
       console.log('[startIcebreaker] Generated question:', question);
       
       // Start icebreaker in meeting
@@ -492,9 +1037,11 @@ io.on('connection', (socket) => {
   });
 
   // Participant responds to icebreaker
-  socket.on('icebreakerParticipate', ({ meetingCode, userName, response }) => {
-    const meeting = meetingService.getMeeting(meetingCode);
-    if (!meeting) return;
+  socket.on('icebreakerParticipate', ({ response }) => {
+    const { meeting, participant } = getSocketParticipant();
+    if (!participant) return;
+    const meetingCode = meeting.code;
+    const userName = participant.name;
 
     meeting.recordIcebreakerResponse(userName, response);
     
@@ -511,9 +1058,12 @@ io.on('connection', (socket) => {
   });
 
   // Close/End icebreaker
-  socket.on('closeIcebreaker', ({ meetingCode }) => {
-    const meeting = meetingService.getMeeting(meetingCode);
+  socket.on('closeIcebreaker', ({ hostToken }) => {
+    const { meeting } = getSocketParticipant();
     if (!meeting) return;
+    const meetingCode = meeting.code;
+
+    if (!requirePermission(meeting, hostToken, 'runIcebreaker', 'close icebreaker')) return;
 
     meeting.endIcebreaker();
 
@@ -524,32 +1074,23 @@ io.on('connection', (socket) => {
   });
 
   // End meeting
-  socket.on('endMeeting', async ({ meetingCode, participantId }) => {
-    const meeting = meetingService.getMeeting(meetingCode);
+  socket.on('endMeeting', async ({ hostToken }) => {
+    const { meeting } = getSocketParticipant();
     if (!meeting) {
       socket.emit('error', { message: 'Meeting not found' });
       return;
     }
+    const meetingCode = meeting.code;
 
-    // Find participant by participantId first (handles reconnections), then fall back to socketId
-    let participant = null;
-    if (participantId) {
-      participant = meeting.participants.get(participantId);
-      // Update socketId if found (in case of reconnection)
-      if (participant) {
-        participant.socketId = socket.id;
-      }
-    }
-    
-    // Fall back to socketId lookup if participantId not provided or not found
-    if (!participant) {
-      participant = Array.from(meeting.participants.values())
-        .find(p => p.socketId === socket.id);
-    }
-    
-    if (!participant || !participant.isHost) {
-      socket.emit('error', { message: 'Only moderator can end meeting' });
-      return;
+    const participant = requirePermission(meeting, hostToken, 'endMeeting', 'end meeting');
+    if (!participant) return;
+
+    // Update socketId in case the moderator reconnected
+    participant.socketId = socket.id;
+
+    // Bring everyone back so the breakout results are part of the summary
+    if (meeting.breakout) {
+      recallBreakouts(meeting);
     }
 
     // Get summary before ending
@@ -567,111 +1108,70 @@ io.on('connection', (socket) => {
       })),
     });
     
-    // Generate AI summary and key insights using meeting data
+    // Mark meeting as ended
+    meetingService.endMeeting(meetingCode);
+
     // Include both active and left participants for complete meeting analysis
     const allParticipants = [
       ...Array.from(meeting.participants.values()),
       ...Array.from(meeting.leftParticipants.values())
     ];
-    
-    let aiSummary = null;
-    let keyInsights = null;
-    try {
-      console.log('[AI] Generating meeting summary...');
-      const summaryResult = await aiService.generateMeetingSummary({
-        participants: allParticipants.map(p => ({
-          name: p.name,
-          speakingTime: p.speakingTime,
-          turnCount: p.turnCount,
-        })),
-        duration: meeting.metricsStartedAt ? (Date.now() - meeting.metricsStartedAt) / 1000 : 0,
-        analytics: summary.analytics,
-        transcript: meeting.transcript, // Include the full transcript with speech content
-      });
-      aiSummary = summaryResult.summary;
-      meeting.aiSummary = aiSummary;
-      console.log('[AI] Meeting summary generated successfully');
-    } catch (error) {
-      console.error('[AI] Failed to generate meeting summary:', error.message);
-    }
-    
-    // Generate key insights
+    const duration = meeting.metricsStartedAt ? (Date.now() - meeting.metricsStartedAt) / 1000 : 0;
+    const reportJobId = `${meetingCode}_${meeting.endedAt.getTime()}`;
+
+    // AI output is generated in the background; until meetingReportReady arrives
+    // every AI field is reported as 'pending'
+    const aiStatus = { summary: 'pending', keyInsights: 'pending', actionItems: 'pending' };
+
+    const transcriptPath = await saveTranscriptFile(meeting, summary, duration, {
+      aiSummary: null,
+      actionItems: [],
+      aiStatus,
+      reportJobId,
+    });
+
+    // Archive the final record so it outlives the in-memory cleanup
     try {
-      console.log('[AI] Generating key insights...');
-      keyInsights = await aiService.generateKeyInsights({
-        participants: allParticipants.map(p => ({
-          name: p.name,
-          speakingTime: p.speakingTime,
-          turnCount: p.turnCount,
-        })),
-        duration: meeting.metricsStartedAt ? (Date.now() - meeting.metricsStartedAt) / 1000 : 0,
-        fairnessScore: summary.analytics.fairnessScore,
-        transcript: meeting.transcript,
-      });
-      console.log('[AI] Key insights generated successfully');
+      await archiveService.archiveMeeting(meeting, { summary, aiSummary: null, keyInsights: [], actionItems: [], aiStatus });
     } catch (error) {
-      console.error('[AI] Failed to generate key insights:', error.message);
-      // Use fallback insights if generation fails
-      keyInsights = [
-        { text: "Great participation balance achieved.", color: "green" },
-        { text: "All participants contributed to the discussion.", color: "blue" },
-        { text: "Queue system helped manage turn-taking.", color: "purple" }
-      ];
+      console.error('[Archive] Failed to archive meeting:', error.message);
     }
-    
-    // Save transcript to file
-    try {
-      const fs = await import('fs/promises');
-      const path = await import('path');
-      
-      const transcriptData = {
-        meetingCode: meeting.code,
-        startTime: meeting.createdAt,
-        endTime: new Date(),
-        duration: meeting.metricsStartedAt ? (Date.now() - meeting.metricsStartedAt) / 1000 : 0,
-        participants: [
-          ...Array.from(meeting.participants.values()),
-          ...Array.from(meeting.leftParticipants.values())
-        ].map(p => ({
+
+    reportService.enqueue({
+      meetingCode,
+      endedAt: meeting.endedAt,
+      transcriptPath,
+      input: {
+        participants: allParticipants.filter(p => p.role !== 'observer').map(p => ({
           id: p.id,
           name: p.name,
-          isHost: p.isHost,
           speakingTime: p.speakingTime,
           turnCount: p.turnCount,
         })),
-        transcript: meeting.transcript,
+        duration,
         analytics: summary.analytics,
-        aiSummary: aiSummary,
-      };
-      
-      const transcriptsDir = path.join(process.cwd(), 'transcripts');
-      await fs.mkdir(transcriptsDir, { recursive: true });
-      
-      const filename = `transcript_${meeting.code}_${Date.now()}.json`;
-      const filepath = path.join(transcriptsDir, filename);
-      
-      await fs.writeFile(filepath, JSON.stringify(transcriptData, null, 2));
-      console.log(`[Transcript] Saved to ${filepath}`);
-    } catch (error) {
-      console.error('[Transcript] Failed to save transcript:', error.message);
-    }
-    
-    // Mark meeting as ended
-    meetingService.endMeeting(meetingCode);
+        transcript: meeting.transcript, // Full transcript with speech content
+      },
+    });
 
     // Broadcast to ALL participants that meeting has ended
     io.to(meetingCode).emit('meetingEnded', { 
       summary,
-      aiSummary,
-      keyInsights,
+      aiSummary: null,
+      keyInsights: [],
+      actionItems: [],
+      aiStatus,
+      reportJobId,
     });
     
-    // Disconnect all sockets from the meeting room
+    // Move all sockets from the meeting room to the report room so they still
+    // receive meetingReportReady once the background job finishes
     const sockets = io.sockets.adapter.rooms.get(meetingCode);
     if (sockets) {
-      sockets.forEach(socketId => {
+      Array.from(sockets).forEach(socketId => {
         const clientSocket = io.sockets.sockets.get(socketId);
         if (clientSocket) {
+          clientSocket.join(reportRoom(reportJobId));
           clientSocket.leave(meetingCode);
         }
       });
@@ -681,12 +1181,21 @@ io.on('connection', (socket) => {
   });
 
   // Leave meeting
-  socket.on('leaveMeeting', ({ meetingCode, participantId }) => {
-    const meeting = meetingService.getMeeting(meetingCode);
-    if (!meeting) return;
+  socket.on('leaveMeeting', () => {
+    const { meeting, participant } = getSocketParticipant();
+    if (!participant) return;
+    const meetingCode = meeting.code;
+    const participantId = participant.id;
 
-    meeting.removeParticipant(participantId);
+    const succession = meeting.removeParticipant(participantId);
     socket.leave(meetingCode);
+    bindSocket(null, null);
+
+    // Announce the new moderator (and hand them a host token) if the host role moved
+    if (succession) {
+      emitRoleChange(meeting, succession.successor, succession.previousRole);
+      emitQueueUpdate(meeting);
+    }
 
     // Notify others
     socket.to(meetingCode).emit('participantLeft', {
@@ -694,21 +1203,31 @@ io.on('connection', (socket) => {
       participants: meeting.getParticipantsArray(),
     });
 
+    // Leaving from a breakout room leaves the main meeting too
+    const parent = meeting.parentCode ? meetingService.getMeeting(meeting.parentCode) : null;
+    if (parent) {
+      const parentSuccession = parent.removeParticipant(participantId);
+      if (parentSuccession) {
+        emitRoleChange(parent, parentSuccession.successor, parentSuccession.previousRole);
+        emitQueueUpdate(parent);
+      }
+      io.to(parent.code).emit('participantLeft', {
+        participantId,
+        participants: parent.getParticipantsArray(),
+      });
+    }
+
     console.log(`Participant ${participantId} left meeting ${meetingCode}`);
   });
 
   // WebRTC Signaling
-  socket.on('webrtc-offer', ({ meetingCode, peerId, offer }) => {
-    const meeting = meetingService.getMeeting(meetingCode);
+  socket.on('webrtc-offer', ({ peerId, offer }) => {
+    const { meeting, participant: senderParticipant } = getSocketParticipant();
     if (!meeting) {
-      console.error(`[WebRTC] Meeting ${meetingCode} not found for offer`);
+      console.error(`[WebRTC] No meeting bound to socket ${socket.id} for offer`);
       return;
     }
 
-    // Find sender's participant ID
-    const senderParticipant = Array.from(meeting.participants.values())
-      .find(p => p.socketId === socket.id);
-    
     if (!senderParticipant) {
       console.error(`[WebRTC] Sender not found for socket ${socket.id}`);
       return;
@@ -728,17 +1247,13 @@ io.on('connection', (socket) => {
     }
   });
 
-  socket.on('webrtc-answer', ({ meetingCode, peerId, answer }) => {
-    const meeting = meetingService.getMeeting(meetingCode);
+  socket.on('webrtc-answer', ({ peerId, answer }) => {
+    const { meeting, participant: senderParticipant } = getSocketParticipant();
     if (!meeting) {
-      console.error(`[WebRTC] Meeting ${meetingCode} not found for answer`);
+      console.error(`[WebRTC] No meeting bound to socket ${socket.id} for answer`);
       return;
     }
 
-    // Find sender's participant ID
-    const senderParticipant = Array.from(meeting.participants.values())
-      .find(p => p.socketId === socket.id);
-    
     if (!senderParticipant) {
       console.error(`[WebRTC] Sender not found for socket ${socket.id}`);
       return;
@@ -758,14 +1273,8 @@ io.on('connection', (socket) => {
     }
   });
 
-  socket.on('webrtc-ice-candidate', ({ meetingCode, peerId, candidate }) => {
-    const meeting = meetingService.getMeeting(meetingCode);
-    if (!meeting) return;
-
-    // Find sender's participant ID
-    const senderParticipant = Array.from(meeting.participants.values())
-      .find(p => p.socketId === socket.id);
-    
+  socket.on('webrtc-ice-candidate', ({ peerId, candidate }) => {
+    const { meeting, participant: senderParticipant } = getSocketParticipant();
     if (!senderParticipant) return;
 
     const targetParticipant = Array.from(meeting.participants.values())
@@ -781,9 +1290,11 @@ io.on('connection', (socket) => {
   });
 
   // Emoji reactions
-  socket.on('sendEmoji', ({ meetingCode, participantId, emoji }) => {
-    const meeting = meetingService.getMeeting(meetingCode);
-    if (!meeting) return;
+  socket.on('sendEmoji', ({ emoji }) => {
+    const { meeting, participant } = getSocketParticipant();
+    if (!participant) return;
+    const meetingCode = meeting.code;
+    const participantId = participant.id;
 
     console.log(`Emoji reaction from ${participantId}: ${emoji}`);
 
@@ -796,29 +1307,29 @@ io.on('connection', (socket) => {
   });
 
   // Lightweight meeting chat
-  socket.on('sendChatMessage', ({ meetingCode, participantId, message }) => {
-    const meeting = meetingService.getMeeting(meetingCode);
-    if (!meeting) return;
+  socket.on('sendChatMessage', ({ message }) => {
+    const { meeting, participant } = getSocketParticipant();
+    if (!participant) return;
 
-    const chatMessage = meeting.addChatMessage(participantId, message);
+    const chatMessage = meeting.addChatMessage(participant.id, message);
     if (!chatMessage) return;
 
-    io.to(meetingCode).emit('chatMessage', chatMessage);
+    io.to(meeting.code).emit('chatMessage', chatMessage);
   });
 
   // Participant media state (mic/video)
-  socket.on('participantMediaState', ({ meetingCode, participantId, isMuted, isVideoOff }) => {
-    const meeting = meetingService.getMeeting(meetingCode);
-    if (!meeting) return;
+  socket.on('participantMediaState', ({ isMuted, isVideoOff }) => {
+    const { meeting, participant } = getSocketParticipant();
+    if (!participant) return;
+    const meetingCode = meeting.code;
+    const participantId = participant.id;
 
     console.log(`Media state update: ${participantId} - muted: ${isMuted}, videoOff: ${isVideoOff}`);
 
     // Update participant media state in backend
-    const participant = meeting.participants.get(participantId);
-    if (participant) {
-      participant.isMuted = isMuted;
-      participant.isVideoOff = isVideoOff;
-    }
+    participant.isMuted = isMuted;
+    participant.isVideoOff = isVideoOff;
+    meeting.touch();
 
     // Broadcast media state to all participants
     io.to(meetingCode).emit('participantMediaStateUpdate', {
@@ -828,48 +1339,70 @@ io.on('connection', (socket) => {
     });
   });
 
-  // Periodic fairness updates (only if metrics have started)
-  setInterval(() => {
-    for (const [code, meeting] of meetingService.meetings.entries()) {
-      if (meeting.endedAt || !meeting.metricsStartedAt) continue;
-
-      // Update speaking times for active speakers (only if metrics started)
-      const now = Date.now();
-      for (const participant of meeting.participants.values()) {
-        if (participant.isSpeaking && participant.lastSpokeAt) {
-          const elapsed = (now - participant.lastSpokeAt) / 1000;
-          if (elapsed > 0) {
-            participant.continuousSpeakingTime += elapsed;
-            participant.speakingTime += elapsed;
-            participant.lastSpokeAt = now;
-          }
-        }
+  /**
+   * Promote or demote a participant (moderator only)
+   * @param {'promote'|'demote'} direction
+   */
+  const handleRoleChange = (hostToken, participantId, role, direction) => {
+    const { meeting } = getSocketParticipant();
+    if (!meeting) return;
+
+    if (meeting.parentCode) {
+      socket.emit('error', { message: 'Roles are managed in the main meeting' });
+      return;
+    }
+    if (!requirePermission(meeting, hostToken, 'manageRoles', `${direction} participants`)) return;
+
+    try {
+      const { participant, previousRole, previousModerator } = direction === 'promote'
+        ? meeting.promoteParticipant(participantId, role)
+        : meeting.demoteParticipant(participantId, role);
+      if (previousModerator) {
+        emitRoleChange(meeting, previousModerator, 'moderator');
       }
+      emitRoleChange(meeting, participant, previousRole);
+      emitQueueUpdate(meeting);
+    } catch (error) {
+      socket.emit('error', { message: error.message });
+    }
+  };
 
-      // Calculate fairness metrics
-      meeting.calculateFairnessMetrics();
+  // Raise a participant's role, one rank by default; promoting to moderator hands the meeting over
+  socket.on('promoteParticipant', ({ participantId, role, hostToken } = {}) => {
+    handleRoleChange(hostToken, participantId, role, 'promote');
+  });
 
-      // Broadcast updates
-      io.to(code).emit('fairnessUpdate', {
-        participants: meeting.getParticipantsArray(),
-        analytics: meeting.analytics,
-        metricsStarted: !!meeting.metricsStartedAt,
-      });
+  // Lower a participant's role, one rank by default
+  socket.on('demoteParticipant', ({ participantId, role, hostToken } = {}) => {
+    handleRoleChange(hostToken, participantId, role, 'demote');
+  });
+
+  // Update meeting settings (moderator only)
+  socket.on('updateMeetingSettings', ({ settings: changes, hostToken }) => {
+    const { meeting } = getSocketParticipant();
+    if (!meeting) return;
+
+    if (!requirePermission(meeting, hostToken, 'updateSettings', 'update meeting settings')) return;
+
+    try {
+      const settings = meeting.updateSettings(changes);
+      io.to(meeting.code).emit('meetingSettingsUpdated', { settings });
+      if ('equityQueue' in changes) {
+        emitQueueUpdate(meeting);
+      }
+      console.log(`[Settings] Meeting ${meeting.code} settings updated:`, changes);
+    } catch (error) {
+      socket.emit('error', { message: error.message });
     }
-  }, 1000); // Update every second
+  });
 
   // Start metrics tracking (moderator only)
-  socket.on('startMetrics', ({ meetingCode }) => {
-    const meeting = meetingService.getMeeting(meetingCode);
+  socket.on('startMetrics', ({ hostToken }) => {
+    const { meeting } = getSocketParticipant();
     if (!meeting) return;
+    const meetingCode = meeting.code;
 
-    const participant = Array.from(meeting.participants.values())
-      .find(p => p.socketId === socket.id);
-    
-    if (!participant || !participant.isHost) {
-      socket.emit('error', { message: 'Only moderator can start metrics' });
-      return;
-    }
+    if (!requirePermission(meeting, hostToken, 'startMetrics', 'start metrics')) return;
 
     const started = meeting.startMetrics();
     if (started) {
@@ -881,27 +1414,631 @@ io.on('connection', (socket) => {
     }
   });
 
+  /**
+   * Apply a moderator agenda change and broadcast the updated agenda
+   * @param {string} action - Used in the permission error message
+   * @param {Function} change - (meeting) => void; may throw a validation error
+   */
+  const handleAgendaChange = (hostToken, action, change) => {
+    const { meeting } = getSocketParticipant();
+    if (!meeting) return;
+
+    if (!requirePermission(meeting, hostToken, 'manageAgenda', action)) return;
+
+    try {
+      change(meeting);
+      io.to(meeting.code).emit('agendaUpdate', { agenda: meeting.getAgenda() });
+    } catch (error) {
+      socket.emit('error', { message: error.message });
+    }
+  };
+
+  // Replace the upcoming agenda items (moderator only)
+  socket.on('setAgenda', ({ items, hostToken } = {}) => {
+    handleAgendaChange(hostToken, 'set the agenda', (meeting) => {
+      meeting.setAgenda(items);
+      console.log(`[Agenda] Meeting ${meeting.code} agenda set (${meeting.agenda.length} items)`);
+    });
+  });
+
+  // Start a specific agenda item (moderator only)
+  socket.on('startAgendaItem', ({ itemId, hostToken } = {}) => {
+    handleAgendaChange(hostToken, 'change the agenda item', (meeting) => {
+      const item = meeting.startAgendaItem(itemId);
+      console.log(`[Agenda] Meeting ${meeting.code} started "${item.title}"`);
+    });
+  });
+
+  // Move on to the next pending agenda item (moderator only)
+  socket.on('nextAgendaItem', ({ hostToken } = {}) => {
+    handleAgendaChange(hostToken, 'change the agenda item', (meeting) => {
+      const item = meeting.advanceAgenda();
+      console.log(`[Agenda] Meeting ${meeting.code} ${item ? `advanced to "${item.title}"` : 'finished its agenda'}`);
+    });
+  });
+
+  // Finish the active agenda item without starting another (moderator only)
+  socket.on('endAgendaItem', ({ hostToken } = {}) => {
+    handleAgendaChange(hostToken, 'change the agenda item', (meeting) => {
+      meeting.finishActiveAgendaItem();
+    });
+  });
+
+  // Open breakout rooms - manual or balanced auto-assignment (moderator and co-moderators)
+  socket.on('startBreakouts', ({ rooms, roomCount, duration, hostToken } = {}) => {
+    const { meeting } = getSocketParticipant();
+    if (!meeting) return;
+
+    if (!requirePermission(meeting, hostToken, 'manageBreakouts', 'open breakout rooms')) return;
+
+    try {
+      const opened = meetingService.openBreakoutRooms(meeting, { rooms, roomCount, duration });
+      announceBreakoutStart(meeting, opened);
+    } catch (error) {
+      socket.emit('error', { message: error.message });
+    }
+  });
+
+  // Recall everyone before the breakout timer runs out (moderator and co-moderators)
+  socket.on('endBreakouts', ({ hostToken } = {}) => {
+    const { meeting: bound } = getSocketParticipant();
+    if (!bound) return;
+    // Co-moderators can close the breakout from inside their own room
+    const meeting = bound.parentCode ? meetingService.getMeeting(bound.parentCode) : bound;
+    if (!meeting) return;
+
+    if (!requirePermission(meeting, hostToken, 'manageBreakouts', 'close breakout rooms')) return;
+
+    if (!meeting.breakout) {
+      socket.emit('error', { message: 'No breakout rooms are open' });
+      return;
+    }
+    recallBreakouts(meeting);
+  });
+
   // Disconnect handler - DON'T remove participant, just mark as disconnected
   socket.on('disconnect', () => {
     console.log('Client disconnected:', socket.id);
     // Find participant but DON'T remove them - keep their metrics
-    // Just clear their socket ID so they can reconnect
-    for (const [code, meeting] of meetingService.meetings.entries()) {
-      for (const [participantId, participant] of meeting.participants.entries()) {
-        if (participant.socketId === socket.id) {
-          // Clear socket ID but keep participant and their metrics
-          participant.socketId = null;
-          // Don't remove from meeting - they can reconnect
-          console.log(`Participant ${participant.name} disconnected but kept in meeting`);
-          break;
-        }
-      }
+    // Just clear their socket ID so they can reconnect with their reconnect token
+    const { meeting, participant } = getSocketParticipant();
+    // A reconnect on a new socket may already have replaced this one
+    if (participant && participant.socketId === socket.id) {
+      // Clear socket ID but keep participant and their metrics
+      participant.socketId = null;
+      // Don't remove from meeting - they can reconnect
+      console.log(`Participant ${participant.name} disconnected but kept in meeting`);
+    }
+    // Participants in a breakout room also hold their seat in the main meeting
+    const parent = meeting?.parentCode ? meetingService.getMeeting(meeting.parentCode) : null;
+    const mainSeat = parent?.participants.get(socket.data.participantId);
+    if (mainSeat && mainSeat.socketId === socket.id) {
+      mainSeat.socketId = null;
     }
   });
 });
 
+/**
+ * Socket.io room for clients waiting on a background meeting report
+ */
+function reportRoom(jobId) {
+  return `report:${jobId}`;
+}
+
+/**
+ * Save the end-of-meeting transcript JSON
+ * @returns {Promise<string|null>} Path of the saved file, or null on failure
+ */
+async function saveTranscriptFile(meeting, summary, duration, extra) {
+  try {
+    const transcriptData = {
+      meetingCode: meeting.code,
+      title: meeting.title,
+      startTime: meeting.createdAt,
+      endTime: meeting.endedAt || new Date(),
+      duration,
+      participants: [
+        ...Array.from(meeting.participants.values()),
+        ...Array.from(meeting.leftParticipants.values())
+      ].map(p => ({
+        id: p.id,
+        name: p.name,
+        isHost: p.isHost,
+        role: p.role,
+        isObserver: p.role === 'observer', // Excluded from the fairness metrics
+        speakingTime: p.speakingTime,
+        turnCount: p.turnCount,
+        interruptionsMade: p.interruptionsMade || 0,
+        interruptionsReceived: p.interruptionsReceived || 0,
+        overlapTime: p.overlapTime || 0,
+      })),
+      transcript: meeting.transcript,
+      breakoutSessions: meeting.breakoutSessions, // Including each room's transcript
+      overlaps: meeting.overlaps,
+      interruptions: summary.interruptions,
+      analytics: summary.analytics,
+      ...extra,
+    };
+
+    const transcriptsDir = path.join(process.cwd(), 'transcripts');
+    await fs.mkdir(transcriptsDir, { recursive: true });
+
+    const filename = `transcript_${meeting.code}_${Date.now()}.json`;
+    const filepath = path.join(transcriptsDir, filename);
+
+    await fs.writeFile(filepath, JSON.stringify(transcriptData, null, 2));
+    console.log(`[Transcript] Saved to ${filepath}`);
+    return filepath;
+  } catch (error) {
+    console.error('[Transcript] Failed to save transcript:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Merge fields into a previously saved transcript JSON
+ */
+async function updateTranscriptFile(filepath, changes) {
+  try {
+    const data = JSON.parse(await fs.readFile(filepath, 'utf8'));
+    await fs.writeFile(filepath, JSON.stringify({ ...data, ...changes }, null, 2));
+    console.log(`[Transcript] Updated ${filepath}`);
+  } catch (error) {
+    console.error('[Transcript] Failed to update transcript:', error.message);
+  }
+}
+
+// Deliver finished background reports: transcript file, archive, then clients
+reportService.onReportReady = async (job) => {
+  const report = job.report || {
+    aiSummary: null,
+    keyInsights: [],
+    actionItems: [],
+    aiStatus: { summary: 'unavailable', keyInsights: 'unavailable', actionItems: 'unavailable' },
+  };
+
+  if (job.transcriptPath) {
+    await updateTranscriptFile(job.transcriptPath, {
+      aiSummary: report.aiSummary,
+      keyInsights: report.keyInsights,
+      actionItems: report.actionItems,
+      aiStatus: report.aiStatus,
+      report: { jobId: job.id, status: job.status, completedAt: job.completedAt, error: job.error },
+    });
+  }
+
+  try {
+    await archiveService.updateArchive(job.meetingCode, job.endedAt, {
+      aiSummary: report.aiSummary,
+      keyInsights: report.keyInsights,
+      actionItems: report.actionItems,
+      aiStatus: report.aiStatus,
+    });
+  } catch (error) {
+    console.error('[Archive] Failed to store meeting report:', error.message);
+  }
+
+  const room = reportRoom(job.id);
+  io.to(room).emit('meetingReportReady', {
+    meetingCode: job.meetingCode,
+    jobId: job.id,
+    status: job.status,
+    aiSummary: report.aiSummary,
+    keyInsights: report.keyInsights,
+    actionItems: report.actionItems,
+    aiStatus: report.aiStatus,
+    error: job.error,
+  });
+  io.in(room).socketsLeave(room);
+};
+
+// Live loop: accumulates speaking time and broadcasts fairness updates
+// Runs at a fine base tick; each meeting broadcasts at its own fairnessUpdateInterval
+const LIVE_LOOP_TICK_MS = 250;
+const QUIET_CHECK_INTERVAL_MS = 10000; // How often each meeting is scanned for quiet participants
+const LIVE_NOTES_RECHECK_MS = 10000; // Wait before looking again when there was no new transcript text
+
+/**
+ * Deliver long-turn escalations to their audience
+ * Level 1 goes privately to the speaker, level 2 to the moderator, level 3 to the whole room
+ */
+function handleLongTurns(meeting, now) {
+  for (const escalation of meeting.checkLongTurns(now)) {
+    const payload = {
+      participantId: escalation.participantId,
+      participantName: escalation.participantName,
+      duration: Math.round(escalation.duration),
+      level: escalation.level,
+      levelName: escalation.levelName,
+      message: escalation.nudge.message,
+    };
+
+    if (escalation.level === 1) {
+      const speaker = meeting.participants.get(escalation.participantId);
+      if (speaker?.socketId) io.to(speaker.socketId).emit('longTurnDetected', payload);
+    } else if (escalation.level === 2) {
+      emitToModerators(meeting, 'longTurnDetected', payload);
+    } else {
+      io.to(meeting.code).emit('longTurnDetected', payload);
+    }
+
+    console.log(`[LongTurn] ${escalation.participantName} escalated to ${escalation.levelName} after ${payload.duration}s in meeting ${meeting.code}`);
+  }
+}
+
+/**
+ * Prompt the moderator (and optionally the participant) about quiet participants
+ */
+function handleQuietParticipants(meeting, now) {
+  for (const { participantId, participantName, silenceDuration } of meeting.checkQuietParticipants(now)) {
+    const prompts = meeting.promptQuietParticipant(participantId, silenceDuration);
+    if (!prompts) continue;
+
+    emitToModerators(meeting, 'quietParticipantDetected', {
+      participantId,
+      participantName,
+      silenceDuration,
+      message: prompts.alert.message,
+      invited: !!prompts.invite,
+    });
+
+    const participant = meeting.participants.get(participantId);
+    if (prompts.invite && participant?.socketId) {
+      io.to(participant.socketId).emit('nudgeReceived', {
+        id: prompts.invite.id,
+        message: prompts.invite.message,
+        from: 'FairMeet',
+        template: prompts.invite.template,
+      });
+    }
+
+    console.log(`[Quiet] ${participantName} silent for ${silenceDuration}s in meeting ${meeting.code}${prompts.invite ? ' (invited)' : ''}`);
+  }
+}
+
+/**
+ * Send an event to everyone whose role receives moderator alerts
+ */
+function emitToModerators(meeting, event, payload) {
+  for (const participant of meeting.participants.values()) {
+    if (participant.socketId && hasPermission(participant.role, 'receiveModeratorAlerts')) {
+      io.to(participant.socketId).emit(event, payload);
+    }
+  }
+}
+
+/**
+ * Announce a role change to the room and give newly privileged participants a host token
+ */
+function emitRoleChange(meeting, participant, previousRole) {
+  io.to(meeting.code).emit('roleChanged', {
+    participantId: participant.id,
+    participantName: participant.name,
+    role: participant.role,
+    previousRole,
+    hostId: meeting.hostId,
+    participants: meeting.getParticipantsArray(),
+  });
+
+  if (PRIVILEGED_ROLES.includes(participant.role) && participant.socketId) {
+    io.to(participant.socketId).emit('hostTokenIssued', {
+      hostId: meeting.hostId,
+      role: participant.role,
+      hostToken: meetingService.issueHostToken(meeting, participant.id),
+    });
+  }
+  console.log(`[Roles] ${participant.name} is now ${participant.role} (was ${previousRole}) in meeting ${meeting.code}`);
+
+  if (participant.breakoutRoom) {
+    mirrorRoleToBreakoutRoom(participant);
+  }
+}
+
+/**
+ * Carry a main-meeting role change over to the participant's breakout room seat
+ * The room's permission checks read the seat, so it must match the main meeting.
+ */
+function mirrorRoleToBreakoutRoom(participant) {
+  const room = meetingService.getMeeting(participant.breakoutRoom);
+  const previousRole = room?.mirrorRole(participant.id, participant.role);
+  if (!previousRole) return;
+
+  io.to(room.code).emit('roleChanged', {
+    participantId: participant.id,
+    participantName: participant.name,
+    role: participant.role,
+    previousRole,
+    hostId: room.hostId,
+    participants: room.getParticipantsArray(),
+  });
+  emitQueueUpdate(room);
+}
+
+/**
+ * Broadcast the queue, current turn mode and speaking slot
+ */
+function emitQueueUpdate(meeting) {
+  io.to(meeting.code).emit('queueUpdate', {
+    queue: meeting.getQueueArray(),
+    turnMode: meeting.turnMode,
+    speakingSlot: meeting.getSpeakingSlot(),
+  });
+}
+
+/**
+ * Tell the room the round-robin go-around finished and the new speaker it's their turn
+ * @param {Object} result - Output of meeting.advanceSpeakingSlot()
+ */
+function announceSlotAdvance(meeting, { slot, roundRobinComplete }) {
+  if (slot) {
+    const speaker = meeting.participants.get(slot.participantId);
+    if (speaker?.socketId) {
+      io.to(speaker.socketId).emit('yourTurn', { duration: slot.duration, endsAt: slot.endsAt });
+    }
+  }
+  if (roundRobinComplete) {
+    io.to(meeting.code).emit('roundRobinComplete', {});
+    console.log(`[Turns] Meeting ${meeting.code} finished its round-robin`);
+  }
+}
+
+/**
+ * Run the current speaking slot's countdown and handle its expiry
+ */
+function handleSpeakingSlot(meeting, now) {
+  const event = meeting.checkSpeakingSlot(now);
+  if (!event) return;
+
+  if (event.type === 'countdown') {
+    io.to(meeting.code).emit('speakingSlotCountdown', {
+      participantId: event.participantId,
+      remaining: event.remaining,
+    });
+    return;
+  }
+
+  io.to(meeting.code).emit('speakingSlotExpired', {
+    participantId: event.previous.participantId,
+    participantName: event.previous.participantName,
+    advanced: event.advanced,
+  });
+  console.log(`[Turns] ${event.previous.participantName}'s slot expired in meeting ${meeting.code}${event.advanced ? '' : ' (overtime)'}`);
+  if (event.advanced) {
+    announceSlotAdvance(meeting, event);
+    emitQueueUpdate(meeting);
+  }
+}
+
+/**
+ * Move a connected socket between a meeting and one of its breakout rooms
+ * The socket is rebound so its later events act on the room it joined.
+ * @returns {Socket|null} The moved socket, or null if the participant isn't connected
+ */
+function moveSocket(socketId, fromCode, toCode) {
+  const target = socketId ? io.sockets.sockets.get(socketId) : null;
+  if (!target) return null;
+  target.leave(fromCode);
+  target.join(toCode);
+  target.data.meetingCode = toCode;
+  return target;
+}
+
+/**
+ * What a participant needs on arriving in a breakout room, including the peers to connect to
+ */
+function breakoutJoinedPayload(meeting, room, participantId) {
+  return {
+    roomCode: room.code,
+    roomName: room.title,
+    endsAt: meeting.breakout.endsAt,
+    participants: room.getParticipantsArray(),
+    peers: Array.from(room.participants.values())
+      .filter(p => p.id !== participantId)
+      .map(p => ({ peerId: p.id, peerName: p.name })),
+  };
+}
+
+/**
+ * Move assigned participants into their newly opened breakout rooms
+ */
+function announceBreakoutStart(meeting, rooms) {
+  for (const room of rooms) {
+    for (const participant of room.participants.values()) {
+      const target = moveSocket(participant.socketId, meeting.code, room.code);
+      if (target) {
+        target.emit('breakoutJoined', breakoutJoinedPayload(meeting, room, participant.id));
+      }
+    }
+  }
+
+  // Everyone - in the main meeting and in the rooms - sees who went where
+  io.to([meeting.code, ...rooms.map(room => room.code)]).emit('breakoutsStarted', { breakout: meeting.getBreakoutState() });
+  emitQueueUpdate(meeting);
+}
+
+/**
+ * Close the breakout rooms, bring everyone back and share the per-room and combined results
+ */
+function recallBreakouts(meeting) {
+  const { session, rooms } = meetingService.closeBreakoutRooms(meeting);
+
+  for (const room of rooms) {
+    for (const participant of room.participants.values()) {
+      const mainSeat = meeting.participants.get(participant.id);
+      if (mainSeat) {
+        mainSeat.socketId = participant.socketId; // The latest socket may have connected inside the room
+      }
+      moveSocket(participant.socketId, room.code, meeting.code);
+    }
+  }
+
+  meeting.calculateFairnessMetrics();
+  io.to(meeting.code).emit('breakoutsEnded', {
+    session,
+    participants: meeting.getParticipantsArray(),
+  });
+  console.log(`[Breakout] Everyone is back in meeting ${meeting.code}`);
+}
+
+/**
+ * Warn breakout rooms shortly before they close and recall everyone when time is up
+ */
+function handleBreakoutTimer(meeting, now) {
+  const event = meeting.checkBreakoutTimer(now);
+  if (!event) return;
+
+  if (event.type === 'warning') {
+    for (const room of meeting.breakout.rooms) {
+      io.to(room.code).emit('breakoutEndingSoon', { remaining: event.remaining });
+    }
+    return;
+  }
+  recallBreakouts(meeting);
+}
+
+/**
+ * Share a breakout room's live metrics with the main meeting's moderators
+ */
+function emitBreakoutRoomUpdate(room) {
+  const meeting = meetingService.getMeeting(room.parentCode);
+  if (!meeting) return;
+  emitToModerators(meeting, 'breakoutRoomUpdate', {
+    roomCode: room.code,
+    roomName: room.title,
+    participants: room.getParticipantsArray(),
+    analytics: room.analytics,
+  });
+}
+
+/**
+ * Warn the meeting when the active agenda item approaches or overruns its timebox
+ */
+function handleAgendaTimebox(meeting, now) {
+  const warning = meeting.checkAgendaTimebox(now);
+  if (!warning) return;
+
+  const minutes = Math.round(warning.timebox / 60);
+  const message = warning.level === 'overrun'
+    ? `"${warning.title}" has run over its ${minutes}-minute timebox.`
+    : `"${warning.title}" is almost out of time.`;
+  io.to(meeting.code).emit('agendaTimeWarning', { ...warning, message });
+  console.log(`[Agenda] ${warning.level} warning for "${warning.title}" in meeting ${meeting.code}`);
+}
+
+/**
+ * Fold new transcript text into the meeting's live notes and broadcast them
+ * Runs in the background; the live loop never waits on the AI provider
+ * @param {Meeting} meeting
+ * @param {Object} pending - Output of meeting.getUnprocessedTranscript()
+ */
+async function refreshLiveNotes(meeting, { entries, cursor }) {
+  meeting.liveNotesInFlight = true;
+  try {
+    const participants = [
+      ...Array.from(meeting.participants.values()),
+      ...Array.from(meeting.leftParticipants.values()),
+    ].filter(p => p.role !== 'observer').map(p => ({ name: p.name }));
+    const result = await aiService.updateLiveNotes(meeting.liveNotes, entries, participants, { meetingCode: meeting.code });
+
+    if (meeting.endedAt) return;
+    if (result.status !== 'ok') {
+      // Cursor is left in place so the next refresh retries with this text included
+      console.warn(`[LiveNotes] Refresh unavailable for meeting ${meeting.code}: ${result.error}`);
+      return;
+    }
+
+    const liveNotes = meeting.applyLiveNotes(result.notes, cursor);
+    io.to(meeting.code).emit('liveNotesUpdate', { liveNotes });
+    console.log(`[LiveNotes] Meeting ${meeting.code} notes updated to revision ${liveNotes.revision}`);
+  } finally {
+    meeting.liveNotesInFlight = false;
+  }
+}
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [code, meeting] of meetingService.meetings.entries()) {
+    if (meeting.endedAt) continue;
+
+    // Agenda timeboxes, speaking slots and breakouts run whether or not fairness metrics have started
+    handleAgendaTimebox(meeting, now);
+    handleSpeakingSlot(meeting, now);
+    handleBreakoutTimer(meeting, now);
+    if (!meeting.metricsStartedAt) continue;
+
+    // Update speaking times for active speakers (only if metrics started)
+    for (const participant of meeting.participants.values()) {
+      if (participant.isSpeaking && participant.lastSpokeAt) {
+        const elapsed = (now - participant.lastSpokeAt) / 1000;
+        if (elapsed > 0) {
+          participant.continuousSpeakingTime += elapsed;
+          participant.speakingTime += elapsed;
+          participant.lastSpokeAt = now;
+          meeting.touch();
+        }
+      }
+    }
+
+    handleLongTurns(meeting, now);
+
+    if (meeting.settings.quietDetectionEnabled && now - meeting.lastQuietCheckAt >= QUIET_CHECK_INTERVAL_MS) {
+      meeting.lastQuietCheckAt = now;
+      handleQuietParticipants(meeting, now);
+    }
+
+    if (now - meeting.lastFairnessSnapshotAt >= meeting.settings.fairnessSnapshotInterval * 1000) {
+      meeting.lastFairnessSnapshotAt = now;
+      meeting.recordFairnessSnapshot(now);
+    }
+
+    if (meeting.settings.liveNotesEnabled && !meeting.liveNotesInFlight && now >= meeting.nextLiveNotesAt) {
+      const pending = meeting.getUnprocessedTranscript();
+      if (pending.entries.length === 0) {
+        meeting.nextLiveNotesAt = now + LIVE_NOTES_RECHECK_MS;
+      } else {
+        meeting.nextLiveNotesAt = now + meeting.settings.liveNotesInterval * 1000;
+        refreshLiveNotes(meeting, pending).catch(error => {
+          console.error(`[LiveNotes] Refresh failed for meeting ${meeting.code}:`, error.message);
+        });
+      }
+    }
+
+    if (now - meeting.lastFairnessBroadcastAt < meeting.settings.fairnessUpdateInterval) continue;
+    meeting.lastFairnessBroadcastAt = now;
+
+    // Calculate fairness metrics
+    meeting.calculateFairnessMetrics();
+
+    // Broadcast updates
+    io.to(code).emit('fairnessUpdate', {
+      participants: meeting.getParticipantsArray(),
+      analytics: meeting.analytics,
+      rollingAnalytics: meeting.getRollingMetrics(now), // Last rollingWindowSeconds only
+      metricsStarted: !!meeting.metricsStartedAt,
+    });
+    if (meeting.parentCode) {
+      emitBreakoutRoomUpdate(meeting);
+    }
+  }
+}, LIVE_LOOP_TICK_MS);
+
 const PORT = process.env.PORT || 3000;
 
+// Restore active meetings persisted before the last restart/deploy
+await meetingService.rehydrate();
+await aiService.usage.load();
+await reportService.rehydrate();
+await schedulingService.rehydrate();
+
+// Persist pending meeting changes before the process exits (e.g. Cloud Run SIGTERM on deploy)
+const shutdown = async (signal) => {
+  console.log(`${signal} received, flushing meeting state...`);
+  await meetingService.flush();
+  process.exit(0);
+};
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 httpServer.listen(PORT, () => {
   console.log(`🚀 FairMeet Backend Server running on port ${PORT}`);
   console.log(`📡 WebSocket server ready`);
@@ -1,75 +1,149 @@
 /**
- * AI Service using Google Gemini API
+ * AI Service
  * Handles icebreaker generation, meeting summaries, and topic suggestions
+ * Text generation is delegated to a pluggable provider (Gemini, OpenAI-compatible, or offline stub)
  */
 
-import { GoogleGenerativeAI } from '@google/generative-ai';
+import { createAIProvider } from './ai/createAIProvider.js';
+import {
+  ICEBREAKER_SCHEMA,
+  MEETING_SUMMARY_SCHEMA,
+  TOPIC_SUGGESTIONS_SCHEMA,
+  KEY_INSIGHTS_SCHEMA,
+  LIVE_NOTES_SCHEMA,
+  ACTION_ITEMS_SCHEMA,
+} from './ai/schemas.js';
+import { getTokenBudget } from './ai/tokenBudgets.js';
+import { AIUsageTracker } from './ai/AIUsageTracker.js';
+import { validateSchema, repairToSchema, extractJson } from '../utils/schemaValidation.js';
+import { estimateTokenCount } from '../utils/tokenizer.js';
+import { matchParticipant } from '../utils/participantMatching.js';
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
 
 export class AIService {
-  constructor() {
-    if (!process.env.GEMINI_API_KEY) {
-      throw new Error('GEMINI_API_KEY is not set in environment variables');
-    }
-    
-    this.genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-    // Use gemini-1.5-flash as primary (more stable availability)
-    // Fallback to gemini-2.0-flash if needed
-    this.primaryModelName = process.env.GEMINI_MODEL || 'gemini-1.5-flash';
-    this.fallbackModelName = 'gemini-2.0-flash';
-    this.model = this.genAI.getGenerativeModel({ model: this.primaryModelName });
-    console.log(`[AIService] Using Gemini model: ${this.primaryModelName}`);
+  /**
+   * @param {AIProvider} [provider] - Text-generation backend (defaults to the AI_PROVIDER configuration)
+   * @param {AIUsageTracker} [usage] - Call accounting and per-meeting budgets
+   */
+  constructor(provider = createAIProvider(), usage = new AIUsageTracker()) {
+    this.provider = provider;
+    this.usage = usage;
+    this.condensed = new WeakMap(); // transcript array -> { signature, limit, promise }
+    const budget = this.getTokenBudget();
+    console.log(`[AIService] Using ${provider.name} provider with model: ${provider.modelName}`
+      + ` (input budget ${budget.maxInputTokens} tokens, chunks of ${budget.chunkTokens})`);
   }
 
-  async generateText(prompt) {
+  /**
+   * Token budgets for the model currently in use
+   * Resolved per call because providers may fall back to another model at runtime
+   */
+  getTokenBudget() {
+    return getTokenBudget(this.provider.modelName);
+  }
+
+  /**
+   * Generate text with the configured provider
+   * Every call is recorded in the usage tracker; calls for a meeting that has
+   * used up its AI budget are refused before reaching the provider.
+   * @param {string} prompt - Full prompt text
+   * @param {Object} [options]
+   * @param {string} [options.task] - Operation name, passed through to the provider
+   * @param {string} [options.meetingCode] - Meeting the call is made for (usage and budget)
+   * @throws {AIBudgetExceededError} If the meeting's budget is exhausted
+   */
+  async generateText(prompt, options = {}) {
+    const { task, meetingCode = null } = options;
+    if (meetingCode) {
+      this.usage.checkBudget(meetingCode);
+    }
+
+    const startedAt = Date.now();
+    const promptTokens = this.countUsageTokens(prompt); // Counted alongside the call, not before it
     try {
-      const result = await this.model.generateContent(prompt);
-      const text = result.response.text().trim();
+      const text = await this.provider.generateText(prompt, options);
+      const latencyMs = Date.now() - startedAt;
+      this.usage.record({
+        meetingCode,
+        task,
+        provider: this.provider.name,
+        model: this.provider.modelName,
+        outcome: this.provider.modelName === this.provider.primaryModelName ? 'success' : 'fallback',
+        promptTokens: await promptTokens,
+        responseTokens: await this.countUsageTokens(text),
+        latencyMs,
+      });
       return text;
-    } catch (err) {
-      // If model not found (e.g., using 1.5 on v1beta), attempt fallback model once
-      const is404 = err && (err.status === 404 || /not found/i.test(err?.statusText || '') || /404/i.test(String(err)));
-      if (is404 && this.primaryModelName !== this.fallbackModelName) {
-        console.warn(`[AIService] Model ${this.primaryModelName} not available. Falling back to ${this.fallbackModelName}`);
-        this.model = this.genAI.getGenerativeModel({ model: this.fallbackModelName });
-        const retry = await this.model.generateContent(prompt);
-        return retry.response.text().trim();
-      }
-      throw err;
+    } catch (error) {
+      const latencyMs = Date.now() - startedAt;
+      this.usage.record({
+        meetingCode,
+        task,
+        provider: this.provider.name,
+        model: this.provider.modelName,
+        outcome: 'error',
+        promptTokens: await promptTokens,
+        responseTokens: 0,
+        latencyMs,
+        error: error.message,
+      });
+      throw error;
     }
   }
 
   /**
-   * Clean up AI response by removing preambles and explanations
+   * Generate JSON output validated against a schema
+   * Invalid output is repaired where safe; otherwise the model is re-prompted
+   * with the validation errors, up to maxAttempts times.
+   * @param {string} prompt - Prompt describing the task
+   * @param {Object} schema - JSON schema the output must satisfy
+   * @param {Object} options
+   * @param {string} options.task - Operation name, passed through to the provider
+   * @param {string} [options.meetingCode] - Meeting the call is made for (usage and budget)
+   * @param {number} [options.maxAttempts=3] - Total attempts before giving up
+   * @returns {Promise<*>} The validated value
+   * @throws {Error} If the provider fails or no valid output is produced
    */
-  cleanResponse(text) {
-    // Remove common preambles
-    let cleaned = text
-      .replace(/^Here's (one|a single|an engaging).*?:\s*/i, '')
-      .replace(/^Here are.*?:\s*/i, '')
-      .replace(/^\*\*.*?\*\*\s*/g, '')  // Remove markdown bold
-      .replace(/^["']|["']$/g, '');      // Remove quotes
-    
-    // Extract just the question if there's explanatory text after
-    const lines = cleaned.split('\n').filter(line => line.trim());
-    
-    // Find the first line that looks like a question or is substantial
-    for (const line of lines) {
-      const trimmed = line.trim().replace(/^[-*]\s*/, ''); // Remove bullet points
-      if (trimmed && (trimmed.includes('?') || trimmed.length > 20)) {
-        return trimmed;
+  async generateStructured(prompt, schema, { task, meetingCode = null, maxAttempts = 3 }) {
+    const basePrompt = `${prompt}
+
+Respond with ONLY valid JSON (no markdown, no explanations) matching this JSON schema:
+${JSON.stringify(schema)}`;
+
+    let currentPrompt = basePrompt;
+    let errors = [];
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const text = await this.generateText(currentPrompt, { task, meetingCode });
+
+      try {
+        const value = repairToSchema(extractJson(text), schema);
+        errors = validateSchema(value, schema);
+        if (errors.length === 0) {
+          return value;
+        }
+      } catch (parseError) {
+        errors = [`response is not valid JSON (${parseError.message})`];
       }
+
+      console.warn(`[AIService] Invalid ${task} output (attempt ${attempt}/${maxAttempts}):`, errors.join('; '));
+      currentPrompt = `${basePrompt}
+
+Your previous response was invalid: ${errors.join('; ')}.
+Return corrected JSON only.`;
     }
-    
-    // Fallback: return first non-empty line
-    return lines[0]?.trim() || cleaned;
+
+    throw new Error(`AI returned invalid ${task} output after ${maxAttempts} attempts: ${errors.join('; ')}`);
   }
 
   /**
    * Generate an icebreaker question for the meeting
    * @param {string} meetingContext - Optional context about the meeting type/topic
-   * @returns {Promise<string>} The icebreaker question
+   * @param {Object} [options]
+   * @param {string} [options.meetingCode] - Meeting the call is made for (usage and budget)
+   * @returns {Promise<Object>} { status: 'ok' | 'unavailable', question, error? }
    */
-  async generateIcebreaker(meetingContext = 'professional team meeting') {
+  async generateIcebreaker(meetingContext = 'professional team meeting', { meetingCode = null } = {}) {
     try {
       // Add timestamp and random element to ensure variety
       const randomSeed = Math.floor(Math.random() * 1000000);
@@ -94,40 +168,24 @@ Examples of DIFFERENT styles to vary:
 "What's your favorite way to celebrate small wins?"
 "If you could instantly become an expert in something, what would it be?"
 
-Generate a NEW, UNIQUE question now (different from examples). Return ONLY the question, nothing else.`;
+Generate a NEW, UNIQUE question now (different from examples). Put ONLY the question in the "question" field (max 150 characters for the UI).`;
 
-      const text = await this.generateText(prompt);
-      const cleaned = this.cleanResponse(text);
-      
-      // Ensure it's not too long (max ~150 chars for UI)
-      if (cleaned.length > 150) {
-        const sentences = cleaned.split(/[.!?]/).filter(s => s.trim());
-        return sentences[0].trim() + '?';
-      }
-      
-      return cleaned;
+      const { question } = await this.generateStructured(prompt, ICEBREAKER_SCHEMA, { task: 'icebreaker', meetingCode });
+      return { status: 'ok', question };
     } catch (error) {
       console.error('Error generating icebreaker:', error);
-      // Fallback icebreakers if API fails
-      const fallbacks = [
-        "What's one thing you're looking forward to this week?",
-        "If you could learn any new skill instantly, what would it be?",
-        "What's the best piece of advice you've ever received?",
-        "What's your favorite way to unwind after work?",
-        "If you could travel anywhere right now, where would you go?"
-      ];
-      return fallbacks[Math.floor(Math.random() * fallbacks.length)];
+      return { status: 'unavailable', question: null, error: error.message };
     }
   }
 
   /**
    * Generate meeting summary from transcript
    * @param {Object} meetingData - Meeting data including participants and speaking times
-   * @returns {Promise<Object>} Meeting summary
+   * @returns {Promise<Object>} { status: 'ok' | 'unavailable', summary, sections?, generatedAt, error? }
    */
   async generateMeetingSummary(meetingData) {
     try {
-      const { participants, duration, analytics, transcript = [] } = meetingData;
+      const { participants, duration, analytics, transcript = [], meetingCode = null } = meetingData;
       
       console.log('[AIService] Generating summary with:', {
         participantCount: participants.length,
@@ -136,49 +194,21 @@ Generate a NEW, UNIQUE question now (different from examples). Return ONLY the q
         transcriptWithText: transcript.filter(e => e.text && e.text.trim().length > 0).length,
       });
       
-      // Build conversation context from transcript with token limit awareness
+      // Build conversation context; long transcripts are condensed hierarchically
+      // so the start of the meeting is never dropped
       let conversationText = '';
       const transcriptWithText = transcript.filter(entry => entry.text && entry.text.trim().length > 0);
       
-      if (transcriptWithText && transcriptWithText.length > 0) {
-        // Format transcript entries
-        const formattedTranscript = transcriptWithText.map(entry => {
-          const time = entry.startTime ? new Date(entry.startTime).toLocaleTimeString() : 'Unknown time';
-          return `[${time}] ${entry.participantName}: ${entry.text}`;
-        }).join('\n');
-        
-        // Truncate if needed to fit within token limits (70% of 1M = 700k tokens)
-        const fullText = '\n\nConversation Transcript:\n' + formattedTranscript;
-        const estimatedTokens = this.estimateTokens(fullText);
-        
-        if (estimatedTokens > 700000) {
-          console.warn(`[AIService] Transcript too large (${estimatedTokens} tokens), truncating to fit 70% limit`);
-          // Truncate transcript entries to fit
-          let truncated = '';
-          let currentTokens = this.estimateTokens('\n\nConversation Transcript:\n');
-          
-          for (let i = transcriptWithText.length - 1; i >= 0; i--) {
-            const entry = transcriptWithText[i];
-            const entryText = `[${new Date(entry.startTime).toLocaleTimeString()}] ${entry.participantName}: ${entry.text}\n`;
-            const entryTokens = this.estimateTokens(entryText);
-            
-            if (currentTokens + entryTokens > 700000) break;
-            
-            truncated = entryText + truncated;
-            currentTokens += entryTokens;
-          }
-          
-          conversationText = '\n\nConversation Transcript:\n' + truncated;
-        } else {
-          conversationText = fullText;
-        }
+      if (transcriptWithText.length > 0) {
+        const conversation = await this.condenseTranscript(transcript, { meetingCode });
+        conversationText = `\n\n${conversation.label}:\n${conversation.text}`;
       } else {
         console.warn('[AIService] No transcript entries with text found');
         conversationText = '\n\nNote: No conversation transcript was captured during this meeting.';
       }
       
       // Always generate summary with two sections: Discussion and Fairness
-      const hasTranscript = transcriptWithText && transcriptWithText.length > 0;
+      const hasTranscript = transcriptWithText.length > 0;
       
       let prompt;
       if (hasTranscript) {
@@ -191,9 +221,9 @@ Meeting Context:
 - Duration: ${Math.floor(duration / 60)} minutes
 - Participants: ${participants.map(p => p.name).join(', ')}
 
-Generate a professional meeting summary with the following EXACT structure:
+Generate a professional meeting summary with the following two fields:
 
-**1. Meeting Discussion Summary**
+"discussion" (Meeting Discussion Summary):
 Based on the conversation transcript above, provide a detailed summary of what was actually discussed. Include:
 - Key topics and points discussed
 - What each participant contributed
@@ -203,7 +233,7 @@ Based on the conversation transcript above, provide a detailed summary of what w
 
 Reference specific things participants said from the transcript. This section should be comprehensive and based on the actual conversation content.
 
-**2. Meeting Fairness Summary**
+"fairness" (Meeting Fairness Summary):
 Provide a concise 3-4 line summary of participation fairness:
 - Speaking time distribution: ${participants.map(p => `${p.name} (${Math.floor(p.speakingTime / 60)}m ${Math.floor(p.speakingTime % 60)}s)`).join(', ')}
 - Fairness Score: ${analytics.fairnessScore}/100
@@ -220,12 +250,12 @@ Meeting Context:
 
 Note: No conversation transcript was captured during this meeting.
 
-Generate a professional meeting summary with the following EXACT structure:
+Generate a professional meeting summary with the following two fields:
 
-**1. Meeting Discussion Summary**
+"discussion" (Meeting Discussion Summary):
 State clearly: "No speech has been recorded during this meeting. No conversation transcript is available to summarize the discussion."
 
-**2. Meeting Fairness Summary**
+"fairness" (Meeting Fairness Summary):
 Provide a concise 3-4 line summary of participation fairness:
 - Speaking time distribution: ${participants.map(p => `${p.name} (${Math.floor(p.speakingTime / 60)}m ${Math.floor(p.speakingTime % 60)}s)`).join(', ')}
 - Fairness Score: ${analytics.fairnessScore}/100
@@ -234,16 +264,19 @@ Provide a concise 3-4 line summary of participation fairness:
 Keep the fairness section brief (3-4 lines maximum).`;
       }
 
-      const text = await this.generateText(prompt);
-      
+      const sections = await this.generateStructured(prompt, MEETING_SUMMARY_SCHEMA, { task: 'summary', meetingCode });
+
       return {
-        summary: text,
+        status: 'ok',
+        summary: `**1. Meeting Discussion Summary**\n${sections.discussion}\n\n**2. Meeting Fairness Summary**\n${sections.fairness}`,
+        sections,
         generatedAt: new Date().toISOString(),
       };
     } catch (error) {
       console.error('Error generating summary:', error);
       return {
-        summary: 'Unable to generate AI summary at this time.',
+        status: 'unavailable',
+        summary: null,
         generatedAt: new Date().toISOString(),
         error: error.message,
       };
@@ -251,34 +284,212 @@ Keep the fairness section brief (3-4 lines maximum).`;
   }
 
   /**
-   * Estimate token count (rough approximation: ~4 characters per token)
+   * Count tokens with the provider's tokenizer
+   * If the provider can't count (e.g. its counting endpoint is unreachable), the
+   * offline estimate is used so budgeting never blocks a request.
    */
-  estimateTokens(text) {
-    return Math.ceil(text.length / 4);
+  async countTokens(text) {
+    if (!text) return 0;
+    try {
+      return await this.provider.countTokens(text);
+    } catch (error) {
+      console.warn(`[AIService] Token count failed, using the offline estimate: ${error.message}`);
+      return estimateTokenCount(text);
+    }
+  }
+
+  /**
+   * Count tokens for usage accounting without adding a request to the call
+   * Local tokenizers count exactly; providers that count remotely get the
+   * offline estimate, since waiting on a counting request would delay every reply.
+   */
+  async countUsageTokens(text) {
+    if (!this.provider.countsTokensLocally) return estimateTokenCount(text);
+    return this.countTokens(text);
+  }
+
+  /**
+   * Token counts for the pieces of one text (transcript lines, summaries)
+   * Local tokenizers count each piece. Remote counters are called once for the
+   * joined text, and that total is spread over the pieces by their offline estimates.
+   * @param {string[]} pieces
+   * @param {string} [separator='\n'] - How the pieces are joined in the prompt
+   * @returns {Promise<number[]>}
+   */
+  async countTokensEach(pieces, separator = '\n') {
+    if (this.provider.countsTokensLocally) {
+      return Promise.all(pieces.map(piece => this.countTokens(piece)));
+    }
+
+    const estimates = pieces.map(piece => estimateTokenCount(piece));
+    const estimatedTotal = estimates.reduce((sum, tokens) => sum + tokens, 0);
+    if (estimatedTotal === 0) return estimates;
+    const scale = (await this.countTokens(pieces.join(separator))) / estimatedTotal;
+    return estimates.map(tokens => Math.ceil(tokens * scale));
+  }
+
+  /**
+   * Format transcript entries as timestamped lines (entries without text are skipped)
+   */
+  formatTranscriptLines(transcript) {
+    return transcript
+      .filter(entry => entry.text && entry.text.trim().length > 0)
+      .map(entry => {
+        const time = entry.startTime ? new Date(entry.startTime).toLocaleTimeString() : 'Unknown time';
+        return `[${time}] ${entry.participantName}: ${entry.text}`;
+      });
   }
 
   /**
-   * Truncate transcript to fit within token limit (70% of max)
-   * Gemini 2.5 Flash supports 1M tokens, so 70% = 700k tokens
+   * Group lines into windows of at most maxTokens tokens
+   * A single line larger than the window is hard-split so no window overflows
+   * @returns {Promise<string[]>} Window texts, in order
    */
-  truncateTranscript(transcript, maxTokens = 700000) {
+  async chunkLines(lines, maxTokens) {
+    const chunks = [];
+    let current = [];
+    let currentTokens = 0;
+
+    const pushCurrent = () => {
+      if (current.length > 0) chunks.push(current.join('\n'));
+      current = [];
+      currentTokens = 0;
+    };
+
+    const lineCounts = await this.countTokensEach(lines);
+    lines.forEach((line, index) => {
+      const lineTokens = lineCounts[index];
+
+      if (lineTokens > maxTokens) {
+        pushCurrent();
+        const sliceLength = Math.max(1, Math.floor(maxTokens * (line.length / lineTokens)));
+        for (let i = 0; i < line.length; i += sliceLength) {
+          chunks.push(line.slice(i, i + sliceLength));
+        }
+        return;
+      }
+
+      if (currentTokens + lineTokens > maxTokens) pushCurrent();
+      current.push(line);
+      currentTokens += lineTokens;
+    });
+    pushCurrent();
+
+    return chunks;
+  }
+
+  /**
+   * Fit a transcript into the model's input budget without dropping any of it
+   * Short transcripts are returned verbatim. Longer ones are map-reduced: each
+   * window is summarized, then the summaries are summarized in groups until
+   * they fit.
+   * @param {Array} transcript - Transcript entries
+   * @param {Object} [options]
+   * @param {number} [options.maxTokens] - Budget for the returned text (default: model input budget)
+   * @param {string} [options.meetingCode] - Meeting the calls are made for (usage and budget)
+   * @returns {Promise<{ text: string, label: string, mode: 'full' | 'hierarchical', segments: number, levels: number }>}
+   */
+  condenseTranscript(transcript, { maxTokens, meetingCode = null } = {}) {
+    const limit = maxTokens ?? this.getTokenBudget().maxInputTokens;
+
+    // The summary and insights for one meeting share a transcript; condense it once.
+    // Text is appended to existing entries, so the signature covers text length too.
+    const signature = `${transcript.length}:${transcript.reduce((sum, entry) => sum + (entry.text?.length || 0), 0)}`;
+    const cached = this.condensed.get(transcript);
+    if (cached && cached.signature === signature && cached.limit === limit) {
+      return cached.promise;
+    }
+
+    const promise = this.mapReduceTranscript(transcript, limit, meetingCode);
+    this.condensed.set(transcript, { signature, limit, promise });
+    promise.catch(() => this.condensed.delete(transcript));
+    return promise;
+  }
+
+  /**
+   * Map-reduce implementation behind condenseTranscript
+   */
+  async mapReduceTranscript(transcript, limit, meetingCode) {
+    const budget = this.getTokenBudget();
+    const chunkTokens = Math.min(budget.chunkTokens, limit);
+    const lines = this.formatTranscriptLines(transcript);
+    const fullText = lines.join('\n');
+
+    if (await this.countTokens(fullText) <= limit) {
+      return { text: fullText, label: 'Conversation Transcript', mode: 'full', segments: 1, levels: 0 };
+    }
+
+    // Map: summarize each transcript window in order
+    const windows = await this.chunkLines(lines, chunkTokens);
+    console.log(`[AIService] Transcript exceeds ${limit} tokens, summarizing ${windows.length} windows`);
+
+    let summaries = [];
+    for (let i = 0; i < windows.length; i++) {
+      const summary = await this.generateText(`You are condensing part of a long meeting transcript.
+This is segment ${i + 1} of ${windows.length}, in chronological order.
+
+Transcript segment:
+${windows[i]}
+
+Summarize this segment in a few concise bullet points. Keep speaker names, topics raised,
+questions and answers, decisions and action items (with owners). Do not invent content.`, { task: 'transcriptChunkSummary', meetingCode });
+      summaries.push(`Segment ${i + 1}/${windows.length}:\n${summary.trim()}`);
+    }
+
+    // Reduce: merge neighbouring summaries until the whole set fits the budget
+    let levels = 1;
+    while (summaries.length > 1 && await this.countTokens(summaries.join('\n\n')) > limit) {
+      const groups = await this.chunkLines(summaries, chunkTokens);
+      if (groups.length >= summaries.length) {
+        // Each summary already fills a window on its own; merge them pairwise
+        groups.length = 0;
+        for (let i = 0; i < summaries.length; i += 2) {
+          groups.push(summaries.slice(i, i + 2).join('\n\n'));
+        }
+      }
+
+      const merged = [];
+      for (let i = 0; i < groups.length; i++) {
+        const summary = await this.generateText(`Combine these consecutive summaries of a meeting transcript into one
+shorter chronological summary. Keep speaker names, decisions and action items. Do not invent content.
+
+${groups[i]}`, { task: 'transcriptReduce', meetingCode });
+        merged.push(`Part ${i + 1}/${groups.length}:\n${summary.trim()}`);
+      }
+      summaries = merged;
+      levels++;
+    }
+
+    return {
+      text: summaries.join('\n\n'),
+      label: `Condensed Transcript (hierarchical summary of ${windows.length} chronological segments)`,
+      mode: 'hierarchical',
+      segments: windows.length,
+      levels,
+    };
+  }
+
+  /**
+   * Keep the most recent transcript entries that fit within maxTokens
+   * Used where recency matters more than coverage (e.g. live topic suggestions)
+   */
+  async truncateTranscript(transcript, maxTokens = this.getTokenBudget().maxInputTokens) {
     if (!transcript || transcript.length === 0) return '';
-    
+
+    const entryTexts = transcript
+      .filter(entry => entry.text && entry.text.trim().length > 0)
+      .map(entry => `[${entry.participantName}]: ${entry.text}\n`);
+    const entryCounts = await this.countTokensEach(entryTexts, '');
+
     let truncated = '';
     let currentTokens = 0;
     
     // Start from the end (most recent) and work backwards
-    for (let i = transcript.length - 1; i >= 0; i--) {
-      const entry = transcript[i];
-      if (!entry.text || entry.text.trim().length === 0) continue;
-      
-      const entryText = `[${entry.participantName}]: ${entry.text}\n`;
-      const entryTokens = this.estimateTokens(entryText);
+    for (let i = entryTexts.length - 1; i >= 0; i--) {
+      if (currentTokens + entryCounts[i] > maxTokens) break;
       
-      if (currentTokens + entryTokens > maxTokens) break;
-      
-      truncated = entryText + truncated;
-      currentTokens += entryTokens;
+      truncated = entryTexts[i] + truncated;
+      currentTokens += entryCounts[i];
     }
     
     return truncated;
@@ -287,14 +498,14 @@ Keep the fairness section brief (3-4 lines maximum).`;
   /**
    * Generate topic suggestions based on meeting context
    * @param {Object} context - Current meeting context including transcript
-   * @returns {Promise<Array>} Array of 3 topic suggestions
+   * @returns {Promise<Object>} { status: 'ok' | 'unavailable', suggestions, error? }
    */
   async generateTopicSuggestions(context) {
     try {
-      const { participants = [], duration = 0, transcript = [] } = context;
+      const { participants = [], duration = 0, transcript = [], meetingCode = null } = context;
       
       // Truncate transcript to fit within token limits
-      const truncatedTranscript = this.truncateTranscript(transcript);
+      const truncatedTranscript = await this.truncateTranscript(transcript);
       const hasTranscript = truncatedTranscript.length > 0;
       
       // Build prompt with token limit awareness
@@ -314,12 +525,7 @@ Generate 3 specific, actionable ideas that:
 2. Add value to the current conversation
 3. Encourage further engagement
 
-Return ONLY a JSON array with this exact format (no markdown, no explanations):
-[
-  {"title": "Idea 1 title", "description": "Brief description"},
-  {"title": "Idea 2 title", "description": "Brief description"},
-  {"title": "Idea 3 title", "description": "Brief description"}
-]`;
+Return a JSON array of exactly 3 items.`;
       } else {
         // If no transcript, generate random relevant topics
         prompt = `Generate EXACTLY 3 engaging discussion topics for a professional meeting.
@@ -332,78 +538,46 @@ Generate 3 diverse, interesting topics that could:
 2. Encourage participation from all attendees
 3. Be relevant to a professional team meeting
 
-Return ONLY a JSON array with this exact format (no markdown, no explanations):
-[
-  {"title": "Topic 1 title", "description": "Brief description"},
-  {"title": "Topic 2 title", "description": "Brief description"},
-  {"title": "Topic 3 title", "description": "Brief description"}
-]`;
+Return a JSON array of exactly 3 items.`;
       }
 
       // Check token count before sending
-      const promptTokens = this.estimateTokens(prompt);
-      if (promptTokens > 700000) {
+      const { maxInputTokens } = this.getTokenBudget();
+      const promptTokens = await this.countTokens(prompt);
+      if (promptTokens > maxInputTokens) {
         console.warn(`[AIService] Prompt too large (${promptTokens} tokens), truncating further`);
-        // Further truncate if needed
-        const furtherTruncated = this.truncateTranscript(transcript, 500000);
+        const overhead = promptTokens - await this.countTokens(truncatedTranscript);
+        const furtherTruncated = await this.truncateTranscript(transcript, Math.max(0, maxInputTokens - overhead));
         prompt = prompt.replace(truncatedTranscript, furtherTruncated);
       }
 
-      const text = await this.generateText(prompt);
-      
-      // Try to parse JSON response
-      try {
-        // Extract JSON if wrapped in markdown code blocks
-        const jsonMatch = text.match(/\[[\s\S]*\]/);
-        if (jsonMatch) {
-          const parsed = JSON.parse(jsonMatch[0]);
-          // Ensure we have exactly 3 items
-          return parsed.slice(0, 3);
-        }
-        const parsed = JSON.parse(text);
-        return parsed.slice(0, 3);
-      } catch (parseError) {
-        console.error('Error parsing AI response:', parseError);
-        // Return fallback topics
-        return hasTranscript ? [
-          { title: "Ask a clarifying question", description: "Seek more details about a point that was just discussed" },
-          { title: "Share a related experience", description: "Contribute a similar situation or example that adds context" },
-          { title: "Propose next steps", description: "Suggest actionable follow-up items based on the discussion" }
-        ] : [
-          { title: "Project Updates", description: "Share recent progress and upcoming milestones" },
-          { title: "Team Collaboration", description: "Discuss ways to improve team coordination" },
-          { title: "Open Q&A", description: "Address any questions or concerns from the team" }
-        ];
-      }
+      const suggestions = await this.generateStructured(prompt, TOPIC_SUGGESTIONS_SCHEMA, { task: 'topicSuggestions', meetingCode });
+      return { status: 'ok', suggestions };
     } catch (error) {
       console.error('Error generating topics:', error);
-      return [
-        { title: "Open Discussion", description: "Share updates and discuss any pressing matters" },
-        { title: "Team Feedback", description: "Gather input from team members on recent developments" },
-        { title: "Next Steps", description: "Plan action items and next steps for the team" }
-      ];
+      return { status: 'unavailable', suggestions: [], error: error.message };
     }
   }
 
   /**
    * Generate key insights for meeting summary
    * @param {Object} meetingData - Meeting data including participants, duration, fairness score, transcript
-   * @returns {Promise<Array>} Array of 3 key insights with colors
+   * @returns {Promise<Object>} { status: 'ok' | 'unavailable', insights, error? }
    */
   async generateKeyInsights(meetingData) {
     try {
-      const { participants = [], duration = 0, fairnessScore = 0, transcript = [] } = meetingData;
+      const { participants = [], duration = 0, fairnessScore = 0, transcript = [], meetingCode = null } = meetingData;
       
-      // Truncate transcript to fit within token limits
-      const truncatedTranscript = this.truncateTranscript(transcript);
-      const hasTranscript = truncatedTranscript.length > 0;
+      // Condense (never truncate) the transcript to fit within token limits
+      const hasTranscript = transcript.some(entry => entry.text && entry.text.trim().length > 0);
+      const conversation = hasTranscript ? await this.condenseTranscript(transcript, { meetingCode }) : null;
       
       let prompt;
       if (hasTranscript) {
         prompt = `Based on the following meeting data, generate EXACTLY 3 key insights about the meeting.
 
-Recent Conversation:
-${truncatedTranscript}
+${conversation.label}:
+${conversation.text}
 
 Meeting Statistics:
 - Duration: ${Math.floor(duration / 60)} minutes
@@ -421,12 +595,7 @@ Each insight should be:
 - Actionable or educational
 - 1-2 sentences maximum
 
-Return ONLY a JSON array with this exact format (no markdown, no explanations):
-[
-  {"text": "First insight about participation", "color": "green"},
-  {"text": "Second insight about discussion quality", "color": "blue"},
-  {"text": "Third insight about process", "color": "purple"}
-]`;
+Return a JSON array of exactly 3 items.`;
       } else {
         // If no transcript, use only statistics
         prompt = `Based on the following meeting statistics, generate EXACTLY 3 key insights about the meeting.
@@ -449,62 +618,146 @@ Each insight should be:
 - Actionable or educational
 - 1-2 sentences maximum
 
-Return ONLY a JSON array with this exact format (no markdown, no explanations):
-[
-  {"text": "First insight about participation", "color": "green"},
-  {"text": "Second insight about metrics", "color": "blue"},
-  {"text": "Third insight about improvements", "color": "purple"}
-]`;
+Return a JSON array of exactly 3 items.`;
       }
 
-      const text = await this.generateText(prompt);
-      
-      // Try to parse JSON response
-      try {
-        // Extract JSON if wrapped in markdown code blocks
-        const jsonMatch = text.match(/\[[\s\S]*\]/);
-        if (jsonMatch) {
-          const parsed = JSON.parse(jsonMatch[0]);
-          // Ensure we have exactly 3 items with text and color
-          return parsed.slice(0, 3).map(item => ({
-            text: item.text || "Meeting insight unavailable",
-            color: item.color || "blue"
-          }));
+      const insights = await this.generateStructured(prompt, KEY_INSIGHTS_SCHEMA, { task: 'keyInsights', meetingCode });
+      return { status: 'ok', insights };
+    } catch (error) {
+      console.error('Error generating key insights:', error);
+      return { status: 'unavailable', insights: [], error: error.message };
+    }
+  }
+
+  /**
+   * Fold new transcript text into the running meeting notes
+   * @param {Object|null} currentNotes - Current { decisions, openQuestions, actionItems }, or null for the first pass
+   * @param {Array} newEntries - Transcript entries holding only text not yet reflected in the notes
+   * @param {Array} [participants] - Participant names, used to attribute action item owners
+   * @param {Object} [options]
+   * @param {string} [options.meetingCode] - Meeting the call is made for (usage and budget)
+   * @returns {Promise<Object>} { status: 'ok' | 'unavailable', notes, error? }
+   */
+  async updateLiveNotes(currentNotes, newEntries, participants = [], { meetingCode = null } = {}) {
+    try {
+      const conversation = await this.condenseTranscript(newEntries, { meetingCode });
+      const notes = currentNotes
+        ? {
+          decisions: currentNotes.decisions,
+          openQuestions: currentNotes.openQuestions,
+          actionItems: currentNotes.actionItems,
         }
-        const parsed = JSON.parse(text);
-        return parsed.slice(0, 3).map(item => ({
-          text: item.text || "Meeting insight unavailable",
-          color: item.color || "blue"
-        }));
-      } catch (parseError) {
-        console.error('Error parsing AI insights response:', parseError);
-        // Return fallback insights
-        return [
-          { 
-            text: fairnessScore > 80 
-              ? "Great participation balance achieved across all attendees." 
-              : "Consider encouraging quieter participants to share more.",
-            color: "green" 
-          },
-          { 
-            text: hasTranscript 
-              ? "All participants contributed to the discussion effectively." 
-              : "Enable speech recognition for better meeting insights.",
-            color: "blue" 
-          },
-          { 
-            text: "Queue system helped manage turn-taking efficiently.",
-            color: "purple" 
-          }
-        ];
+        : { decisions: [], openQuestions: [], actionItems: [] };
+
+      const prompt = `You maintain running notes for a meeting that is still in progress.
+
+Current notes:
+${JSON.stringify(notes, null, 2)}
+
+New ${conversation.label} since the notes were last updated:
+${conversation.text}
+
+Participants: ${participants.map(p => p.name).join(', ')}
+
+Return the COMPLETE updated notes:
+- "decisions": decisions the group has made (keep earlier ones unless reversed)
+- "openQuestions": questions raised but not yet answered (remove ones now answered)
+- "actionItems": follow-up tasks; "owner" is the participant name who took it on, or null if unassigned
+Each entry is one short sentence. Only record what was actually said. Do not invent content.`;
+
+      const updated = await this.generateStructured(prompt, LIVE_NOTES_SCHEMA, { task: 'liveNotes', meetingCode });
+      return { status: 'ok', notes: updated };
+    } catch (error) {
+      console.error('Error updating live notes:', error);
+      return { status: 'unavailable', notes: null, error: error.message };
+    }
+  }
+
+  /**
+   * Extract structured action items from a meeting transcript
+   * Transcript lines are numbered so each item can cite the entry it came from;
+   * long transcripts are processed window by window so no entry is skipped.
+   * @param {Object} meetingData
+   * @param {Array<{id: string, name: string}>} meetingData.participants - Everyone who attended (owners are matched against these)
+   * @param {Array} meetingData.transcript - Transcript entries
+   * @param {Date|string} [meetingData.meetingDate] - Reference date for relative deadlines ("by Friday")
+   * @param {string} [meetingData.meetingCode] - Meeting the call is made for (usage and budget)
+   * @returns {Promise<Object>} { status: 'ok' | 'unavailable', actionItems, error? }
+   */
+  async extractActionItems({ participants = [], transcript = [], meetingDate = new Date(), meetingCode = null }) {
+    try {
+      const numbered = [];
+      transcript.forEach((entry, index) => {
+        if (!entry.text || entry.text.trim().length === 0) return;
+        const time = entry.startTime ? new Date(entry.startTime).toLocaleTimeString() : 'Unknown time';
+        numbered.push(`#${index} [${time}] ${entry.participantName}: ${entry.text}`);
+      });
+      if (numbered.length === 0) {
+        return { status: 'ok', actionItems: [] };
       }
+
+      const { maxInputTokens, chunkTokens } = this.getTokenBudget();
+      const windows = await this.countTokens(numbered.join('\n')) <= maxInputTokens
+        ? [numbered.join('\n')]
+        : await this.chunkLines(numbered, chunkTokens);
+      const referenceDate = new Date(meetingDate).toISOString().slice(0, 10);
+
+      const extracted = [];
+      for (let i = 0; i < windows.length; i++) {
+        const prompt = `Extract the action items from this meeting transcript${windows.length > 1 ? ` (part ${i + 1} of ${windows.length})` : ''}.
+Each line starts with its entry number (#N).
+
+Transcript:
+${windows[i]}
+
+Participants: ${participants.map(p => p.name).join(', ')}
+Meeting date: ${referenceDate}
+
+For each concrete follow-up task someone committed to or was assigned, return:
+- "description": the task, as one short imperative sentence
+- "owner": the participant responsible, using their name from the participant list, or null if nobody was named
+- "dueDate": the deadline as YYYY-MM-DD (resolve relative dates like "next Friday" against the meeting date), or null if none was mentioned
+- "dueText": the deadline exactly as phrased in the meeting, or null
+- "sourceEntry": the #N entry number the task was stated in
+Only include tasks that were actually said. Return an empty array if there are none.`;
+
+        extracted.push(...await this.generateStructured(prompt, ACTION_ITEMS_SCHEMA, { task: 'actionItems', meetingCode }));
+      }
+
+      const seen = new Set();
+      const actionItems = [];
+      for (const item of extracted) {
+        const key = item.description.toLowerCase();
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        const owner = matchParticipant(item.owner, participants);
+        const entry = Number.isInteger(item.sourceEntry) ? transcript[item.sourceEntry] : null;
+        const dueDate = item.dueDate && ISO_DATE_PATTERN.test(item.dueDate)
+          && !Number.isNaN(new Date(item.dueDate).getTime()) ? item.dueDate : null;
+
+        actionItems.push({
+          id: `action_${actionItems.length + 1}`,
+          description: item.description,
+          ownerId: owner ? owner.id : null,
+          ownerName: owner ? owner.name : null,
+          ownerMentioned: item.owner, // As the model reported it, even when it matched no participant
+          dueDate,
+          dueText: item.dueText,
+          source: entry && entry.text ? {
+            entryIndex: item.sourceEntry,
+            participantId: entry.participantId,
+            participantName: entry.participantName,
+            startTime: entry.startTime,
+            text: entry.text,
+          } : null,
+        });
+      }
+
+      return { status: 'ok', actionItems };
     } catch (error) {
-      console.error('Error generating key insights:', error);
-      return [
-        { text: "Great participation balance achieved.", color: "green" },
-        { text: "All participants contributed to the discussion.", color: "blue" },
-        { text: "Queue system helped manage turn-taking.", color: "purple" }
-      ];
+      console.error('Error extracting action items:', error);
+      return { status: 'unavailable', actionItems: [], error: error.message };
     }
   }
 }
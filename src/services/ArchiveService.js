@@ -0,0 +1,179 @@
+/**
+ * Archive Service
+ * Stores the final record of every ended meeting and supports browsing past meetings
+ */
+
+const ARCHIVE_COLLECTION = 'archive';
+
+/**
+ * Build the storage key for an archived meeting
+ * Meeting codes can be reused after cleanup, so the end time is part of the key
+ */
+function archiveKey(meetingCode, endedAt) {
+  return `${meetingCode}_${new Date(endedAt).getTime()}`;
+}
+
+/**
+ * Lightweight listing entry (no transcript/chat payloads)
+ */
+function toListEntry(record) {
+  return {
+    meetingCode: record.meetingCode,
+    startedAt: record.startedAt,
+    endedAt: record.endedAt,
+    duration: record.duration,
+    host: record.host,
+    participantCount: record.participants.length,
+    fairnessScore: record.fairnessScore,
+  };
+}
+
+export class ArchiveService {
+  /**
+   * @param {StorageAdapter} storage - Persistence backend
+   */
+  constructor(storage) {
+    this.storage = storage;
+    this.index = null; // Map<archiveKey, listEntry> - loaded lazily from storage
+  }
+
+  /**
+   * Load listing entries for every archived meeting
+   */
+  async loadIndex() {
+    if (!this.index) {
+      const records = await this.storage.list(ARCHIVE_COLLECTION);
+      this.index = new Map(records.map(r => [archiveKey(r.meetingCode, r.endedAt), toListEntry(r)]));
+    }
+    return this.index;
+  }
+
+  /**
+   * Archive an ended meeting
+   * @param {Meeting} meeting - The ended meeting
+   * @param {Object} results - Final results computed at meeting end
+   * @param {Object} results.summary - Output of meeting.getSummary()
+   * @param {string|null} [results.aiSummary] - AI-generated summary text
+   * @param {Array|null} [results.keyInsights] - AI-generated key insights
+   * @param {Array} [results.actionItems] - AI-extracted action items
+   * @param {Object|null} [results.aiStatus] - Per-output AI status ('ok' | 'unavailable')
+   * @returns {Promise<Object>} The stored archive record
+   */
+  async archiveMeeting(meeting, { summary, aiSummary = null, keyInsights = null, actionItems = [], aiStatus = null }) {
+    const endedAt = meeting.endedAt || new Date();
+    const allParticipants = [
+      ...Array.from(meeting.participants.values()),
+      ...Array.from(meeting.leftParticipants.values()),
+    ];
+    const host = allParticipants.find(p => p.id === meeting.hostId)
+      || allParticipants.find(p => p.isHost);
+
+    const record = {
+      meetingCode: meeting.code,
+      title: meeting.title,
+      startedAt: meeting.startedAt || meeting.createdAt,
+      metricsStartedAt: meeting.metricsStartedAt,
+      endedAt,
+      duration: summary.duration,
+      host: host ? { id: host.id, name: host.name } : null,
+      fairnessScore: summary.fairnessScore,
+      participants: summary.participants,
+      summary,
+      analytics: summary.analytics,
+      fairnessTimeline: meeting.fairnessTimeline,
+      transcript: meeting.transcript,
+      breakoutSessions: meeting.breakoutSessions,
+      overlaps: meeting.overlaps,
+      nudges: meeting.nudges,
+      chatMessages: meeting.chatMessages,
+      icebreaker: meeting.icebreaker,
+      aiSummary,
+      keyInsights,
+      actionItems,
+      aiStatus,
+      archivedAt: new Date(),
+    };
+
+    const key = archiveKey(meeting.code, endedAt);
+    await this.storage.set(ARCHIVE_COLLECTION, key, record);
+    (await this.loadIndex()).set(key, toListEntry(record));
+    console.log(`[Archive] Archived meeting ${meeting.code} as ${key}`);
+    return record;
+  }
+
+  /**
+   * Merge late results (e.g. the background AI report) into an archive record
+   * @returns {Promise<Object|null>} The updated record, or null if not archived
+   */
+  async updateArchive(meetingCode, endedAt, changes) {
+    const key = archiveKey(meetingCode, endedAt);
+    const record = await this.storage.get(ARCHIVE_COLLECTION, key);
+    if (!record) return null;
+
+    const updated = { ...record, ...changes };
+    await this.storage.set(ARCHIVE_COLLECTION, key, updated);
+    return updated;
+  }
+
+  /**
+   * List archived meetings, newest first
+   * @param {Object} [filters]
+   * @param {number} [filters.page=1] - 1-based page number
+   * @param {number} [filters.limit=20] - Page size
+   * @param {Date} [filters.from] - Only meetings that ended at or after this time
+   * @param {Date} [filters.to] - Only meetings that ended at or before this time
+   * @param {string} [filters.host] - Case-insensitive match on host name
+   * @param {number} [filters.minFairness] - Minimum fairness score (0-100)
+   * @param {number} [filters.maxFairness] - Maximum fairness score (0-100)
+   */
+  async listArchives({ page = 1, limit = 20, from, to, host, minFairness, maxFairness } = {}) {
+    const index = await this.loadIndex();
+    const hostQuery = host ? host.toLowerCase() : null;
+
+    const matches = Array.from(index.values())
+      .filter(entry => {
+        const endedAt = new Date(entry.endedAt);
+        if (from && endedAt < from) return false;
+        if (to && endedAt > to) return false;
+        if (hostQuery && !(entry.host?.name || '').toLowerCase().includes(hostQuery)) return false;
+        if (minFairness !== undefined && entry.fairnessScore < minFairness) return false;
+        if (maxFairness !== undefined && entry.fairnessScore > maxFairness) return false;
+        return true;
+      })
+      .sort((a, b) => new Date(b.endedAt) - new Date(a.endedAt));
+
+    const start = (page - 1) * limit;
+    return {
+      meetings: matches.slice(start, start + limit),
+      page,
+      limit,
+      total: matches.length,
+      totalPages: Math.ceil(matches.length / limit),
+    };
+  }
+
+  /**
+   * List every archived occurrence of a meeting code, newest first
+   */
+  async listArchivesForCode(meetingCode) {
+    const index = await this.loadIndex();
+    return Array.from(index.values())
+      .filter(entry => entry.meetingCode === meetingCode)
+      .sort((a, b) => new Date(b.endedAt) - new Date(a.endedAt));
+  }
+
+  /**
+   * Fetch a full archive record by meeting code and end time
+   */
+  async getArchive(meetingCode, endedAt) {
+    return this.storage.get(ARCHIVE_COLLECTION, archiveKey(meetingCode, endedAt));
+  }
+
+  /**
+   * Fetch the most recent archive record for a meeting code
+   */
+  async getLatestArchive(meetingCode) {
+    const [latest] = await this.listArchivesForCode(meetingCode);
+    return latest ? this.getArchive(meetingCode, latest.endedAt) : null;
+  }
+}
@@ -4,113 +4,292 @@
  */
 
 import { Meeting } from '../models/Meeting.js';
+import { InMemoryStorage } from '../storage/InMemoryStorage.js';
+import { signToken, verifyToken } from '../utils/tokens.js';
+import { PRIVILEGED_ROLES } from '../utils/permissions.js';
+import { KeyedWriteQueue } from '../utils/writeQueue.js';
+
+const MEETINGS_COLLECTION = 'meetings';
+const SAVE_DEBOUNCE_MS = 1000; // Coalesce bursts of changes (e.g. the 1s metrics loop) into one write
+const TOKEN_TTL_SECONDS = 24 * 60 * 60; // 24 hours - host and reconnect tokens
+const MAX_CODE_ATTEMPTS = 1000; // Give up rather than spin once the code space is nearly exhausted
 
 export class MeetingService {
-  constructor() {
-    this.meetings = new Map(); // Map<meetingCode, Meeting>
+  /**
+   * @param {StorageAdapter} [storage] - Persistence backend (defaults to in-memory)
+   */
+  constructor(storage = new InMemoryStorage()) {
+    this.meetings = new Map(); // Map<meetingCode, Meeting> - live working set
+    this.storage = storage;
+    this.pendingSaves = new Map(); // Map<meetingCode, Timeout>
+    this.writes = new KeyedWriteQueue(); // Saves and deletes for a code run in the order they were made
+    this.reservedCodes = new Set(); // Codes held for scheduled meetings (maintained by SchedulingService)
+  }
+
+  /**
+   * Register a meeting in the working set and write its changes through to storage
+   */
+  trackMeeting(meeting) {
+    meeting.onChange = () => this.scheduleSave(meeting);
+    this.meetings.set(meeting.code, meeting);
+  }
+
+  /**
+   * Schedule a debounced write of the meeting to storage
+   */
+  scheduleSave(meeting) {
+    if (this.pendingSaves.has(meeting.code)) return;
+
+    const timer = setTimeout(() => {
+      this.pendingSaves.delete(meeting.code);
+      this.saveMeeting(meeting);
+    }, SAVE_DEBOUNCE_MS);
+    this.pendingSaves.set(meeting.code, timer);
+  }
+
+  /**
+   * Write a meeting snapshot to storage (after any earlier write for its code)
+   * The snapshot is taken when the write runs, and skipped if the meeting was
+   * removed in the meantime so a late save can't bring it back.
+   */
+  async saveMeeting(meeting) {
+    try {
+      await this.writes.enqueue(meeting.code, async () => {
+        if (this.meetings.get(meeting.code) !== meeting) return;
+        await this.storage.set(MEETINGS_COLLECTION, meeting.code, meeting.toJSON());
+      });
+    } catch (error) {
+      console.error(`[MeetingService] Failed to persist meeting ${meeting.code}:`, error.message);
+    }
+  }
+
+  /**
+   * Write all pending changes to storage (used on shutdown)
+   */
+  async flush() {
+    const codes = Array.from(this.pendingSaves.keys());
+    for (const code of codes) {
+      clearTimeout(this.pendingSaves.get(code));
+      this.pendingSaves.delete(code);
+      const meeting = this.meetings.get(code);
+      if (meeting) {
+        await this.saveMeeting(meeting);
+      }
+    }
+    await this.writes.settled();
+  }
+
+  /**
+   * Load active meetings from storage into memory (called on boot)
+   * Participants keep their IDs and metrics so they can reconnect with their participantId
+   * @returns {Promise<number>} Number of meetings restored
+   */
+  async rehydrate() {
+    const snapshots = await this.storage.list(MEETINGS_COLLECTION);
+    let restored = 0;
+
+    for (const snapshot of snapshots) {
+      if (snapshot.endedAt) {
+        // Ended meetings were only kept around for the summary window
+        await this.storage.delete(MEETINGS_COLLECTION, snapshot.code);
+        continue;
+      }
+
+      const meeting = Meeting.fromJSON(snapshot);
+      this.trackMeeting(meeting);
+      restored++;
+    }
+
+    console.log(`[MeetingService] Rehydrated ${restored} active meeting(s) from storage`);
+    return restored;
   }
 
   /**
    * Generate unique 6-digit meeting code
+   * Skips codes in use and codes reserved for scheduled meetings
+   * @throws {Error} If no free code turns up within MAX_CODE_ATTEMPTS tries
    */
   generateMeetingCode() {
-    let code;
-    do {
-      code = Math.floor(100000 + Math.random() * 900000).toString();
-    } while (this.meetings.has(code));
-    return code;
+    for (let attempt = 0; attempt < MAX_CODE_ATTEMPTS; attempt++) {
+      const code = Math.floor(100000 + Math.random() * 900000).toString();
+      if (!this.meetings.has(code) && !this.reservedCodes.has(code)) return code;
+    }
+    throw new Error('No free meeting code available - try again later');
   }
 
   /**
    * Create a new meeting
+   * @param {string} hostName
+   * @param {string} socketId
+   * @param {Object} [schedule] - Open a scheduled meeting: its reserved code, title,
+   *   start time, invite list and preset settings are used (see SchedulingService)
    */
-  createMeeting(hostName, socketId) {
+  createMeeting(hostName, socketId, schedule = null) {
     const hostId = this.generateParticipantId();
-    const code = this.generateMeetingCode();
+    const code = schedule ? schedule.code : this.generateMeetingCode();
+    if (this.meetings.has(code)) {
+      throw new Error('This scheduled meeting is already open');
+    }
     
     const meeting = new Meeting(code, hostId, hostName);
     meeting.startedAt = new Date();
+    if (schedule) {
+      meeting.title = schedule.title;
+      meeting.scheduledStart = new Date(schedule.startTime);
+      meeting.expectedParticipants = schedule.expectedParticipants;
+      meeting.settings = { ...meeting.settings, ...schedule.settings };
+    }
     meeting.addParticipant(hostId, hostName, socketId, true);
     
-    this.meetings.set(code, meeting);
-    return { meeting, hostId };
+    this.trackMeeting(meeting);
+    this.saveMeeting(meeting);
+    return { meeting, hostId, hostToken: this.issueHostToken(meeting) };
+  }
+
+  /**
+   * Issue a signed host token for the meeting's moderator (default) or a co-moderator
+   */
+  issueHostToken(meeting, participantId = meeting.hostId) {
+    return signToken({ type: 'host', code: meeting.code, pid: participantId }, TOKEN_TTL_SECONDS);
+  }
+
+  /**
+   * Verify a host token against a meeting
+   * The token is only valid while its participant is still the meeting's host,
+   * so a host hand-over revokes the previous host's token.
+   * @returns {Object|null} The host participant, or null if the token is invalid
+   */
+  authenticateHost(meeting, hostToken) {
+    const claims = verifyToken(hostToken);
+    if (!claims || claims.type !== 'host' || claims.code !== meeting.code) return null;
+    if (claims.pid !== meeting.hostId) return null;
+    return meeting.participants.get(claims.pid) || null;
   }
 
   /**
-   * Find existing active meeting by moderator name
+   * Verify a host token for a vacant moderator seat
+   * The seat is vacant when the moderator left and the succession policy found
+   * nobody to take over; their token can then re-seat them.
+   * @returns {Object|null} The departed moderator, or null if the token is invalid or the seat is taken
+   */
+  authenticateVacantHost(meeting, hostToken) {
+    const claims = verifyToken(hostToken);
+    if (!claims || claims.type !== 'host' || claims.code !== meeting.code) return null;
+    if (claims.pid !== meeting.hostId || meeting.participants.has(claims.pid)) return null;
+    return meeting.leftParticipants.get(claims.pid) || null;
+  }
+
+  /**
+   * Verify a host token held by the moderator or a co-moderator
+   * Like authenticateHost(), the token stops working as soon as its holder
+   * loses their privileged role. In a breakout room, co-moderators use the
+   * token issued for the main meeting.
+   * @returns {Object|null} The participant, or null if the token is invalid
+   */
+  authenticatePrivileged(meeting, hostToken) {
+    const claims = verifyToken(hostToken);
+    if (!claims || claims.type !== 'host') return null;
+    if (claims.code !== meeting.code && (!meeting.parentCode || claims.code !== meeting.parentCode)) return null;
+    const participant = meeting.participants.get(claims.pid);
+    return participant && PRIVILEGED_ROLES.includes(participant.role) ? participant : null;
+  }
+
+  /**
+   * Find the active meeting a host token belongs to (for moderator resumption)
    * Returns the meeting if found, null otherwise
    */
-  findMeetingByModeratorName(moderatorName) {
-    for (const [code, meeting] of this.meetings.entries()) {
-      if (!meeting.endedAt) {
-        // Find the host participant
-        const host = Array.from(meeting.participants.values()).find(p => p.isHost);
-        if (host && host.name === moderatorName) {
-          return { meeting, code, hostId: host.id };
-        }
-      }
-    }
-    return null;
+  findMeetingByHostToken(hostToken) {
+    const claims = verifyToken(hostToken);
+    if (!claims || claims.type !== 'host') return null;
+
+    const meeting = this.meetings.get(claims.code);
+    if (!meeting || meeting.endedAt) return null;
+    if (!this.authenticateHost(meeting, hostToken) && !this.authenticateVacantHost(meeting, hostToken)) return null;
+    return { meeting, code: meeting.code, hostId: meeting.hostId };
   }
 
   /**
    * Join an existing meeting
+   * Reconnection requires proof of identity: the participant's reconnect token,
+   * or the host token for the moderator. Names are never used to resume a seat.
    * @param {string} code - Meeting code
    * @param {string} participantName - Participant name
    * @param {string} socketId - Socket ID
-   * @param {string} [existingParticipantId] - Optional: existing participant ID for reconnection
+   * @param {Object} [credentials] - Optional reconnection credentials
+   * @param {string} [credentials.participantId] - Existing participant ID
+   * @param {string} [credentials.reconnectToken] - Token issued when the participant first joined
+   * @param {string} [credentials.hostToken] - Host token (moderator reconnection)
+   * @param {boolean} [credentials.observer] - Join as an observer (new participants only)
    */
-  joinMeeting(code, participantName, socketId, existingParticipantId = null) {
+  joinMeeting(code, participantName, socketId, { participantId: existingParticipantId, reconnectToken, hostToken, observer = false } = {}) {
     const meeting = this.meetings.get(code);
     
     if (!meeting) {
-      throw new Error('Meeting not found');
+      throw new Error(this.reservedCodes.has(code) ? 'This meeting is scheduled but the host hasn\'t opened it yet' : 'Meeting not found');
     }
 
     if (meeting.endedAt) {
       throw new Error('Meeting has ended');
     }
 
-    // Check if reconnecting with existing participant ID
-    let participantId = existingParticipantId;
-    let participant;
-    
+    if (meeting.parentCode) {
+      throw new Error('Join the main meeting - breakout rooms are assigned by the moderator');
+    }
+
+    // Moderator reconnection via host token; a moderator who left with no successor takes the vacant seat back
+    let host = hostToken ? this.authenticateHost(meeting, hostToken) : null;
+    if (hostToken && !host && this.authenticateVacantHost(meeting, hostToken)) {
+      host = meeting.reinstateModerator(socketId);
+    }
+    if (hostToken && !host) {
+      throw new Error('Invalid host token');
+    }
+    if (host) {
+      host.socketId = socketId;
+      console.log(`Moderator ${host.name} reconnected with ID ${host.id}`);
+      return { meeting, participant: host, participantId: host.id, reconnectToken: this.issueReconnectToken(meeting, host.id) };
+    }
+
+    // Participant reconnection via reconnect token
     if (existingParticipantId) {
-      // Try to find existing participant by ID
-      participant = meeting.participants.get(existingParticipantId);
+      const participant = meeting.participants.get(existingParticipantId);
       if (participant) {
+        if (participant.isHost) {
+          throw new Error('Host token required to rejoin as moderator');
+        }
+        if (!this.verifyReconnectToken(meeting, existingParticipantId, reconnectToken)) {
+          throw new Error('Invalid reconnect token');
+        }
         // Reconnection: update socket ID and name if changed
         participant.socketId = socketId;
         if (participant.name !== participantName) {
           participant.name = participantName; // Update name in case it changed
         }
         console.log(`Participant ${participantName} reconnected with ID ${existingParticipantId}`);
-        return { meeting, participant, participantId: existingParticipantId };
-      }
-    }
-
-    // If no ID provided or ID not found, try to find by name (for reconnection)
-    // Check for both regular participants AND moderators
-    if (!existingParticipantId) {
-      for (const [pId, p] of meeting.participants.entries()) {
-        if (p.name === participantName) {
-          // Found existing participant with same name - reconnect them
-          // This works for both moderators and regular participants
-          participant = p;
-          participantId = pId;
-          participant.socketId = socketId;
-          const role = p.isHost ? 'moderator' : 'participant';
-          console.log(`${role.charAt(0).toUpperCase() + role.slice(1)} ${participantName} reconnected by name with ID ${pId}`);
-          return { meeting, participant, participantId: pId };
-        }
+        return { meeting, participant, participantId: existingParticipantId, reconnectToken };
       }
     }
 
     // New participant
-    participantId = this.generateParticipantId();
-    participant = meeting.addParticipant(participantId, participantName, socketId, false);
+    const participantId = this.generateParticipantId();
+    const participant = meeting.addParticipant(participantId, participantName, socketId, false, { observer: !!observer });
     
-    return { meeting, participant, participantId };
+    return { meeting, participant, participantId, reconnectToken: this.issueReconnectToken(meeting, participantId) };
+  }
+
+  /**
+   * Issue the secret token a participant must present to reclaim their seat
+   */
+  issueReconnectToken(meeting, participantId) {
+    return signToken({ type: 'reconnect', code: meeting.code, pid: participantId }, TOKEN_TTL_SECONDS);
+  }
+
+  /**
+   * Verify a participant's reconnect token
+   */
+  verifyReconnectToken(meeting, participantId, reconnectToken) {
+    const claims = verifyToken(reconnectToken);
+    return !!claims && claims.type === 'reconnect' && claims.code === meeting.code && claims.pid === participantId;
   }
 
   /**
@@ -130,14 +309,94 @@ export class MeetingService {
       meeting.endMeeting(); // Call the meeting's endMeeting method
       console.log(`Meeting ${code} ended by moderator, will be deleted in 60 seconds`);
       // Cleanup meeting after delay to allow participants to see summary
-      setTimeout(() => {
-        this.meetings.delete(code);
-        console.log(`Meeting ${code} deleted from memory`);
-      }, 60000); // Delete after 1 minute
+      setTimeout(() => this.removeMeeting(code), 60000); // Delete after 1 minute
     }
     return meeting;
   }
 
+  /**
+   * Drop a meeting from memory and storage
+   */
+  removeMeeting(code) {
+    clearTimeout(this.pendingSaves.get(code));
+    this.pendingSaves.delete(code);
+    this.meetings.delete(code);
+    this.writes.enqueue(code, () => this.storage.delete(MEETINGS_COLLECTION, code)).catch(error => {
+      console.error(`[MeetingService] Failed to delete meeting ${code} from storage:`, error.message);
+    });
+    console.log(`Meeting ${code} deleted from memory`);
+  }
+
+  /**
+   * Open breakout rooms for a meeting
+   * Each room is a meeting of its own (code `<main code>-<n>`) with its own queue,
+   * transcript and fairness metrics, using the main meeting's settings. Participants
+   * keep their IDs and roles; moving their sockets is up to the caller.
+   * @param {Meeting} meeting - The main meeting
+   * @param {Object} plan - See Meeting.planBreakoutRooms()
+   * @returns {Meeting[]} The room meetings
+   * @throws {Error} If the plan is invalid
+   */
+  openBreakoutRooms(meeting, plan) {
+    const { rooms: planned, duration } = meeting.planBreakoutRooms(plan);
+
+    const rooms = planned.map((plannedRoom, i) => {
+      const room = new Meeting(`${meeting.code}-${i + 1}`, null);
+      room.parentCode = meeting.code;
+      room.title = plannedRoom.name;
+      room.startedAt = new Date();
+      room.settings = { ...meeting.settings };
+
+      for (const id of plannedRoom.participantIds) {
+        const source = meeting.participants.get(id);
+        const participant = room.addParticipant(id, source.name, source.socketId, false, { observer: source.role === 'observer' });
+        participant.role = source.role; // Co-moderators can run the room's queue
+        participant.isMuted = source.isMuted;
+        participant.isVideoOff = source.isVideoOff;
+      }
+      room.startMetrics();
+
+      this.trackMeeting(room);
+      this.saveMeeting(room);
+      return room;
+    });
+
+    meeting.startBreakout(
+      rooms.map(room => ({ code: room.code, name: room.title, participantIds: Array.from(room.participants.keys()) })),
+      duration
+    );
+    console.log(`[Breakout] Meeting ${meeting.code} opened ${rooms.length} room(s) for ${duration}s`);
+    return rooms;
+  }
+
+  /**
+   * Close a meeting's breakout rooms and fold their results into the main meeting
+   * Each room's summary and transcript is kept on the main meeting's breakout
+   * session; the room meetings themselves are discarded.
+   * @returns {{session: Object, rooms: Meeting[]}|null} null if no breakout rooms are open
+   */
+  closeBreakoutRooms(meeting, now = Date.now()) {
+    if (!meeting.breakout) return null;
+
+    const rooms = meeting.breakout.rooms
+      .map(({ code }) => this.meetings.get(code))
+      .filter(Boolean);
+    const results = rooms.map(room => {
+      for (const participant of room.participants.values()) {
+        if (participant.isSpeaking) room.updateSpeakingStatus(participant.id, false); // Close open turns
+      }
+      room.endMeeting();
+      return { code: room.code, name: room.title, summary: room.getSummary(), transcript: room.transcript };
+    });
+
+    const session = meeting.endBreakout(results, now);
+    for (const room of rooms) {
+      this.removeMeeting(room.code);
+    }
+    console.log(`[Breakout] Meeting ${meeting.code} closed ${rooms.length} room(s)`);
+    return { session, rooms };
+  }
+
   /**
    * Generate unique participant ID
    */
@@ -0,0 +1,205 @@
+/**
+ * Report Service
+ * Runs AI end-of-meeting report generation as background jobs so ending a
+ * meeting never waits on the model
+ */
+
+import { KeyedWriteQueue } from '../utils/writeQueue.js';
+
+const REPORT_JOBS_COLLECTION = 'reportJobs';
+
+export const REPORT_JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+};
+
+export class ReportService {
+  /**
+   * @param {StorageAdapter} storage - Persistence backend for job records
+   * @param {AIService} aiService - Generates the report content
+   */
+  constructor(storage, aiService) {
+    this.storage = storage;
+    this.aiService = aiService;
+    this.jobs = new Map(); // jobId -> job record
+    this.inputs = new Map(); // jobId -> report input (kept in memory only)
+    this.queue = [];
+    this.processing = false;
+    this.onReportReady = null; // async (job) => void, set by the server
+    this.writes = new KeyedWriteQueue(); // Keeps each job's status writes in order
+  }
+
+  /**
+   * Load job records from storage
+   * Jobs that were queued or running when the process stopped lost their
+   * in-memory input, so they are marked failed rather than left pending forever
+   */
+  async rehydrate() {
+    const records = await this.storage.list(REPORT_JOBS_COLLECTION);
+    let interrupted = 0;
+
+    for (const job of records) {
+      if (job.status === REPORT_JOB_STATUS.QUEUED || job.status === REPORT_JOB_STATUS.RUNNING) {
+        job.status = REPORT_JOB_STATUS.FAILED;
+        job.error = 'Interrupted by server restart';
+        job.completedAt = new Date().toISOString();
+        await this.storage.set(REPORT_JOBS_COLLECTION, job.id, job);
+        interrupted++;
+      }
+      this.jobs.set(job.id, job);
+    }
+
+    console.log(`[ReportService] Loaded ${records.length} report job(s), ${interrupted} interrupted`);
+  }
+
+  /**
+   * Queue AI report generation for an ended meeting
+   * @param {Object} params
+   * @param {string} params.meetingCode - Meeting code
+   * @param {Date} params.endedAt - Meeting end time (with the code, identifies the job)
+   * @param {Object} params.input - Snapshot of participants, duration, analytics and transcript
+   * @param {string|null} [params.transcriptPath] - Saved transcript JSON to update when done
+   * @returns {Object} The queued job
+   */
+  enqueue({ meetingCode, endedAt, input, transcriptPath = null }) {
+    const id = `${meetingCode}_${new Date(endedAt).getTime()}`;
+    const job = {
+      id,
+      meetingCode,
+      endedAt: new Date(endedAt).toISOString(),
+      status: REPORT_JOB_STATUS.QUEUED,
+      transcriptPath,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null,
+      error: null,
+      report: null,
+    };
+
+    this.jobs.set(id, job);
+    this.inputs.set(id, input);
+    this.queue.push(id);
+    this.persist(job);
+    console.log(`[ReportService] Queued report job ${id}`);
+
+    // Start on the next tick so the caller can emit meetingEnded first
+    setImmediate(() => this.processQueue());
+    return job;
+  }
+
+  /**
+   * Run queued jobs one at a time
+   */
+  async processQueue() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      while (this.queue.length > 0) {
+        const id = this.queue.shift();
+        const job = this.jobs.get(id);
+        if (job) {
+          await this.runJob(job);
+        }
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Generate the AI summary, key insights and action items for a job
+   */
+  async runJob(job) {
+    const input = this.inputs.get(job.id);
+    job.status = REPORT_JOB_STATUS.RUNNING;
+    job.startedAt = new Date().toISOString();
+    this.persist(job);
+
+    try {
+      const [summaryResult, insightsResult, actionItemsResult] = await Promise.all([
+        this.aiService.generateMeetingSummary({
+          meetingCode: job.meetingCode,
+          participants: input.participants,
+          duration: input.duration,
+          analytics: input.analytics,
+          transcript: input.transcript,
+        }),
+        this.aiService.generateKeyInsights({
+          meetingCode: job.meetingCode,
+          participants: input.participants,
+          duration: input.duration,
+          fairnessScore: input.analytics.fairnessScore,
+          transcript: input.transcript,
+        }),
+        this.aiService.extractActionItems({
+          meetingCode: job.meetingCode,
+          participants: input.participants,
+          transcript: input.transcript,
+          meetingDate: job.endedAt,
+        }),
+      ]);
+
+      job.report = {
+        aiSummary: summaryResult.summary,
+        keyInsights: insightsResult.insights,
+        actionItems: actionItemsResult.actionItems,
+        aiStatus: {
+          summary: summaryResult.status,
+          keyInsights: insightsResult.status,
+          actionItems: actionItemsResult.status,
+        },
+        generatedAt: new Date().toISOString(),
+      };
+      job.status = REPORT_JOB_STATUS.COMPLETED;
+    } catch (error) {
+      console.error(`[ReportService] Report job ${job.id} failed:`, error.message);
+      job.status = REPORT_JOB_STATUS.FAILED;
+      job.error = error.message;
+    }
+
+    job.completedAt = new Date().toISOString();
+    this.inputs.delete(job.id);
+    this.persist(job);
+    console.log(`[ReportService] Report job ${job.id} ${job.status}`);
+
+    if (this.onReportReady) {
+      try {
+        await this.onReportReady(job);
+      } catch (error) {
+        console.error(`[ReportService] Report listener failed for ${job.id}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Write a job record to storage (fire-and-forget, in order per job)
+   */
+  persist(job) {
+    this.writes.enqueue(job.id, () => this.storage.set(REPORT_JOBS_COLLECTION, job.id, job)).catch(error => {
+      console.error(`[ReportService] Failed to persist job ${job.id}:`, error.message);
+    });
+  }
+
+  /**
+   * Get a job by id
+   */
+  getJob(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  /**
+   * Get the most recent job for a meeting code
+   */
+  getLatestJobForCode(meetingCode) {
+    let latest = null;
+    for (const job of this.jobs.values()) {
+      if (job.meetingCode === meetingCode && (!latest || job.endedAt > latest.endedAt)) {
+        latest = job;
+      }
+    }
+    return latest;
+  }
+}
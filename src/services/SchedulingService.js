@@ -0,0 +1,314 @@
+/**
+ * Scheduling Service
+ * Meetings scheduled ahead of time. Scheduling reserves a meeting code until the
+ * host opens the meeting, which then starts with the scheduled title, invite list
+ * and preset settings. Only schedules that haven't been opened are stored here;
+ * once open, the meeting itself carries that information.
+ *
+ * Scheduling needs no account, so reservations are capped (0 = unlimited):
+ *   SCHEDULE_MAX_PENDING - unopened schedules in total (default 1000)
+ *   SCHEDULE_MAX_PENDING_PER_CLIENT - unopened schedules per client address (default 10)
+ */
+
+import { validateSettings } from '../models/Meeting.js';
+import { signToken, verifyToken } from '../utils/tokens.js';
+
+const SCHEDULES_COLLECTION = 'schedules';
+const MAX_TITLE_LENGTH = 200;
+const MAX_NAME_LENGTH = 100;
+const MAX_EXPECTED_PARTICIPANTS = 500;
+const MAX_SCHEDULE_AHEAD_MS = 365 * 24 * 60 * 60 * 1000; // 1 year
+const START_TIME_TOLERANCE_MS = 5 * 60 * 1000; // Allow a start time slightly in the past (clock skew, "now" meetings)
+const RESERVATION_GRACE_MS = 24 * 60 * 60 * 1000; // Unopened reservations lapse a day after the scheduled start
+const DEFAULT_MAX_PENDING = 1000;
+const DEFAULT_MAX_PENDING_PER_CLIENT = 10;
+
+export class ScheduleLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ScheduleLimitError';
+    this.code = 'SCHEDULE_LIMIT';
+  }
+}
+
+function readLimitEnv(env, name, fallback) {
+  if (env[name] === undefined || env[name] === '') return fallback;
+  const value = Number(env[name]);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error(`${name} must be a non-negative integer`);
+  }
+  return value || Infinity;
+}
+
+/**
+ * Validate a title
+ */
+function parseTitle(title) {
+  if (typeof title !== 'string' || !title.trim() || title.trim().length > MAX_TITLE_LENGTH) {
+    throw new Error(`Title must be 1-${MAX_TITLE_LENGTH} characters`);
+  }
+  return title.trim();
+}
+
+/**
+ * Validate a start time (ISO string or epoch ms)
+ */
+function parseStartTime(value, now) {
+  const date = typeof value === 'number' || typeof value === 'string' ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    throw new Error('startTime must be an ISO date string or epoch milliseconds');
+  }
+  if (date.getTime() < now - START_TIME_TOLERANCE_MS) {
+    throw new Error('startTime is in the past');
+  }
+  if (date.getTime() > now + MAX_SCHEDULE_AHEAD_MS) {
+    throw new Error('Meetings can be scheduled at most a year ahead');
+  }
+  return date;
+}
+
+/**
+ * Validate the invite list: names, or {name, email} objects
+ * @returns {Array} [{name, email}]
+ */
+function parseExpectedParticipants(list) {
+  if (!Array.isArray(list) || list.length > MAX_EXPECTED_PARTICIPANTS) {
+    throw new Error(`expectedParticipants must be a list of at most ${MAX_EXPECTED_PARTICIPANTS} names`);
+  }
+
+  const seen = new Set();
+  return list.map(entry => {
+    const name = typeof entry === 'string' ? entry.trim() : (typeof entry?.name === 'string' ? entry.name.trim() : '');
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      throw new Error(`Expected participant names must be 1-${MAX_NAME_LENGTH} characters`);
+    }
+    const key = name.toLowerCase();
+    if (seen.has(key)) {
+      throw new Error(`${name} is on the invite list twice`);
+    }
+    seen.add(key);
+    const email = typeof entry === 'object' && typeof entry.email === 'string' && entry.email.trim() ? entry.email.trim() : null;
+    return { name, email };
+  });
+}
+
+/**
+ * Validate preset settings (optional; same rules as meeting settings)
+ */
+function parseSettings(settings) {
+  if (settings === undefined) return {};
+  if (settings && typeof settings === 'object' && !Array.isArray(settings) && Object.keys(settings).length === 0) return {};
+  validateSettings(settings);
+  return { ...settings };
+}
+
+export class SchedulingService {
+  /**
+   * @param {StorageAdapter} storage - Persistence backend for pending schedules
+   * @param {MeetingService} meetingService - Owns the meeting code space
+   * @param {Object} [env=process.env] - Reservation limits
+   */
+  constructor(storage, meetingService, env = process.env) {
+    this.storage = storage;
+    this.meetingService = meetingService;
+    this.maxPending = readLimitEnv(env, 'SCHEDULE_MAX_PENDING', DEFAULT_MAX_PENDING);
+    this.maxPendingPerClient = readLimitEnv(env, 'SCHEDULE_MAX_PENDING_PER_CLIENT', DEFAULT_MAX_PENDING_PER_CLIENT);
+    this.schedules = new Map(); // Map<meetingCode, schedule> - scheduled, not yet opened
+  }
+
+  /**
+   * Load pending schedules from storage and reserve their codes (called on boot)
+   * Reservations that lapsed while the server was down are dropped
+   */
+  async rehydrate() {
+    const records = await this.storage.list(SCHEDULES_COLLECTION);
+    const now = Date.now();
+    let lapsed = 0;
+
+    for (const schedule of records) {
+      if (this.isLapsed(schedule, now)) {
+        await this.storage.delete(SCHEDULES_COLLECTION, schedule.code);
+        lapsed++;
+        continue;
+      }
+      this.schedules.set(schedule.code, schedule);
+      this.meetingService.reservedCodes.add(schedule.code);
+    }
+
+    console.log(`[SchedulingService] Loaded ${this.schedules.size} scheduled meeting(s), ${lapsed} lapsed`);
+  }
+
+  /**
+   * Whether an unopened reservation has run out
+   */
+  isLapsed(schedule, now = Date.now()) {
+    return new Date(schedule.startTime).getTime() + RESERVATION_GRACE_MS < now;
+  }
+
+  /**
+   * Schedule a meeting and reserve its code
+   * @param {Object} details
+   * @param {string} details.title
+   * @param {string|number} details.startTime - ISO string or epoch ms
+   * @param {Array} [details.expectedParticipants] - Names, or {name, email}
+   * @param {Object} [details.settings] - Preset meeting settings
+   * @param {string|null} [clientKey] - Requesting client (e.g. IP address) for the per-client cap
+   * @returns {Promise<{schedule: Object, scheduleToken: string}>}
+   * @throws {ScheduleLimitError} If too many schedules are pending, overall or for this client
+   * @throws {Error} If any field is invalid, or no meeting code is free
+   */
+  async scheduleMeeting({ title, startTime, expectedParticipants = [], settings } = {}, clientKey = null) {
+    this.checkLimits(clientKey);
+
+    const now = Date.now();
+    const schedule = {
+      code: null,
+      title: parseTitle(title),
+      startTime: parseStartTime(startTime, now).toISOString(),
+      expectedParticipants: parseExpectedParticipants(expectedParticipants),
+      settings: parseSettings(settings),
+      createdBy: clientKey,
+      createdAt: new Date(now).toISOString(),
+      updatedAt: null,
+    };
+
+    schedule.code = this.meetingService.generateMeetingCode();
+    this.meetingService.reservedCodes.add(schedule.code);
+    this.schedules.set(schedule.code, schedule);
+    await this.storage.set(SCHEDULES_COLLECTION, schedule.code, schedule);
+
+    console.log(`[SchedulingService] Scheduled "${schedule.title}" as ${schedule.code} for ${schedule.startTime}`);
+    return { schedule: this.toOwner(schedule), scheduleToken: this.issueScheduleToken(schedule) };
+  }
+
+  /**
+   * Refuse new reservations once the pending caps are reached
+   * Lapsed reservations are released first so they don't count.
+   * @throws {ScheduleLimitError}
+   */
+  checkLimits(clientKey) {
+    for (const [code, schedule] of this.schedules) {
+      if (this.isLapsed(schedule)) this.release(code);
+    }
+
+    if (this.schedules.size >= this.maxPending) {
+      throw new ScheduleLimitError('Too many meetings are scheduled right now - try again later');
+    }
+    if (clientKey !== null) {
+      const own = Array.from(this.schedules.values()).filter(schedule => schedule.createdBy === clientKey).length;
+      if (own >= this.maxPendingPerClient) {
+        throw new ScheduleLimitError(`At most ${this.maxPendingPerClient} scheduled meetings can be pending per client - open or cancel one first`);
+      }
+    }
+  }
+
+  /**
+   * Issue the token that manages and opens a scheduled meeting
+   * It stays valid until the reservation lapses.
+   */
+  issueScheduleToken(schedule) {
+    const expiresAt = new Date(schedule.startTime).getTime() + RESERVATION_GRACE_MS;
+    return signToken({ type: 'schedule', code: schedule.code }, Math.ceil((expiresAt - Date.now()) / 1000));
+  }
+
+  /**
+   * Get a pending schedule by code (lapsed reservations are released)
+   */
+  getSchedule(code) {
+    const schedule = this.schedules.get(code);
+    if (!schedule) return null;
+    if (this.isLapsed(schedule)) {
+      this.release(code);
+      return null;
+    }
+    return schedule;
+  }
+
+  /**
+   * Verify a schedule token
+   * @param {string} scheduleToken
+   * @param {string} [code] - Also require the token to be for this meeting code
+   * @returns {Object|null} The pending schedule, or null if the token is invalid
+   */
+  authenticate(scheduleToken, code) {
+    const claims = verifyToken(scheduleToken);
+    if (!claims || claims.type !== 'schedule') return null;
+    if (code !== undefined && claims.code !== code) return null;
+    return this.getSchedule(claims.code);
+  }
+
+  /**
+   * Change a pending schedule
+   * Moving the start time issues a new token (the old one expires with the old reservation).
+   * @param {Object} schedule
+   * @param {Object} changes - Any of title, startTime, expectedParticipants, settings
+   * @returns {Promise<{schedule: Object, scheduleToken: string|null}>}
+   * @throws {Error} If a change is invalid; nothing is applied
+   */
+  async updateSchedule(schedule, changes) {
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+      throw new Error('Changes must be an object');
+    }
+    const unknown = Object.keys(changes).filter(key => !['title', 'startTime', 'expectedParticipants', 'settings'].includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown field: ${unknown[0]}`);
+    }
+
+    const now = Date.now();
+    const updated = {
+      ...schedule,
+      ...('title' in changes && { title: parseTitle(changes.title) }),
+      ...('startTime' in changes && { startTime: parseStartTime(changes.startTime, now).toISOString() }),
+      ...('expectedParticipants' in changes && { expectedParticipants: parseExpectedParticipants(changes.expectedParticipants) }),
+      ...('settings' in changes && { settings: parseSettings(changes.settings) }),
+      updatedAt: new Date(now).toISOString(),
+    };
+
+    this.schedules.set(updated.code, updated);
+    await this.storage.set(SCHEDULES_COLLECTION, updated.code, updated);
+    const rescheduled = updated.startTime !== schedule.startTime;
+    return { schedule: this.toOwner(updated), scheduleToken: rescheduled ? this.issueScheduleToken(updated) : null };
+  }
+
+  /**
+   * Cancel a pending schedule and free its code
+   */
+  async cancelSchedule(schedule) {
+    this.schedules.delete(schedule.code);
+    this.meetingService.reservedCodes.delete(schedule.code);
+    await this.storage.delete(SCHEDULES_COLLECTION, schedule.code);
+    console.log(`[SchedulingService] Cancelled "${schedule.title}" (${schedule.code})`);
+  }
+
+  /**
+   * Drop a schedule once its meeting is open (or its reservation lapsed)
+   * The meeting now holds the code, so the reservation is no longer needed.
+   */
+  release(code) {
+    this.schedules.delete(code);
+    this.meetingService.reservedCodes.delete(code);
+    this.storage.delete(SCHEDULES_COLLECTION, code).catch(error => {
+      console.error(`[SchedulingService] Failed to delete schedule ${code} from storage:`, error.message);
+    });
+  }
+
+  /**
+   * What the schedule token holder sees (everything but the requesting client)
+   */
+  toOwner(schedule) {
+    const { createdBy, ...details } = schedule;
+    return { ...details, status: 'scheduled' };
+  }
+
+  /**
+   * What invitees may see about a scheduled meeting (no invite list or settings)
+   */
+  toPublic(schedule) {
+    return {
+      code: schedule.code,
+      title: schedule.title,
+      startTime: schedule.startTime,
+      status: 'scheduled',
+    };
+  }
+}
@@ -0,0 +1,37 @@
+/**
+ * AI Provider
+ * Base contract for text-generation backends used by AIService
+ */
+
+import { estimateTokenCount } from '../../utils/tokenizer.js';
+
+export class AIProvider {
+  constructor(name, modelName) {
+    this.name = name; // Provider identifier, e.g. 'gemini'
+    this.modelName = modelName; // Model currently in use
+    this.primaryModelName = modelName; // Configured model; calls served by any other model count as fallbacks
+    this.countsTokensLocally = true; // false when counting tokens costs a request to the provider
+  }
+
+  /**
+   * Generate text for a prompt
+   * @param {string} prompt - Full prompt text
+   * @param {Object} [options]
+   * @param {string} [options.task] - AIService operation name (e.g. 'summary'); lets offline providers pick a response
+   * @returns {Promise<string>} Generated text, trimmed
+   */
+  async generateText(prompt, options = {}) {
+    throw new Error(`${this.constructor.name}.generateText() is not implemented`);
+  }
+
+  /**
+   * Count the tokens a text costs with the current model
+   * The base implementation is the offline subword estimate; providers with a real
+   * tokenizer or counting endpoint override it.
+   * @param {string} text
+   * @returns {Promise<number>}
+   */
+  async countTokens(text) {
+    return estimateTokenCount(text);
+  }
+}
@@ -0,0 +1,241 @@
+/**
+ * AI Usage Tracker
+ * Per-call accounting (model, token counts, latency, outcome, estimated cost)
+ * aggregated per meeting and globally, plus per-meeting budget enforcement
+ *
+ * Budgets (unset or 0 = unlimited):
+ *   AI_MEETING_TOKEN_BUDGET - total prompt + response tokens per meeting
+ *   AI_MEETING_BUDGET_USD - estimated cost per meeting
+ */
+
+import { estimateCost } from './pricing.js';
+import { KeyedWriteQueue } from '../../utils/writeQueue.js';
+
+const USAGE_COLLECTION = 'aiUsage';
+const GLOBAL_KEY = '_global'; // Meeting codes are numeric, so this can't collide
+const MAX_RECENT_CALLS = 200; // Global call log kept in memory for the admin route
+const MAX_MEETING_CALLS = 100; // Per-meeting call log (persisted)
+
+export class AIBudgetExceededError extends Error {
+  constructor(meetingCode, reason) {
+    super(`AI budget exceeded for meeting ${meetingCode} (${reason}); further AI calls are disabled`);
+    this.name = 'AIBudgetExceededError';
+    this.code = 'AI_BUDGET_EXCEEDED';
+    this.meetingCode = meetingCode;
+  }
+}
+
+function readBudgetEnv(env, name) {
+  if (env[name] === undefined || env[name] === '') return null;
+  const value = Number(env[name]);
+  if (!Number.isFinite(value) || value < 0) {
+    throw new Error(`${name} must be a non-negative number`);
+  }
+  return value > 0 ? value : null;
+}
+
+function emptyTotals() {
+  return {
+    calls: 0,
+    successes: 0,
+    fallbacks: 0,
+    errors: 0,
+    promptTokens: 0,
+    responseTokens: 0,
+    totalTokens: 0,
+    totalLatencyMs: 0,
+    averageLatencyMs: 0,
+    estimatedCostUsd: 0,
+    byTask: {}, // task -> { calls, errors, totalTokens, totalLatencyMs }
+  };
+}
+
+/**
+ * Fold one call into a totals object
+ */
+function addCall(totals, call) {
+  totals.calls++;
+  if (call.outcome === 'success') totals.successes++;
+  if (call.outcome === 'fallback') totals.fallbacks++;
+  if (call.outcome === 'error') totals.errors++;
+  totals.promptTokens += call.promptTokens;
+  totals.responseTokens += call.responseTokens;
+  totals.totalTokens += call.promptTokens + call.responseTokens;
+  totals.totalLatencyMs += call.latencyMs;
+  totals.averageLatencyMs = Math.round(totals.totalLatencyMs / totals.calls);
+  totals.estimatedCostUsd += call.estimatedCostUsd;
+
+  const task = totals.byTask[call.task] || (totals.byTask[call.task] = { calls: 0, errors: 0, totalTokens: 0, totalLatencyMs: 0 });
+  task.calls++;
+  if (call.outcome === 'error') task.errors++;
+  task.totalTokens += call.promptTokens + call.responseTokens;
+  task.totalLatencyMs += call.latencyMs;
+}
+
+export class AIUsageTracker {
+  /**
+   * @param {StorageAdapter|null} [storage] - Persists usage so budgets survive restarts
+   * @param {Object} [env=process.env] - Budget configuration
+   */
+  constructor(storage = null, env = process.env) {
+    this.storage = storage;
+    this.writes = new KeyedWriteQueue(); // Keeps each usage record's writes in order
+    this.tokenBudget = readBudgetEnv(env, 'AI_MEETING_TOKEN_BUDGET');
+    this.costBudgetUsd = readBudgetEnv(env, 'AI_MEETING_BUDGET_USD');
+    this.global = { since: new Date().toISOString(), totals: emptyTotals() };
+    this.recentCalls = [];
+    this.meetings = new Map(); // meetingCode -> { meetingCode, since, totals, calls, budgetExceededAt }
+  }
+
+  /**
+   * Load persisted usage
+   */
+  async load() {
+    if (!this.storage) return;
+    for (const record of await this.storage.list(USAGE_COLLECTION)) {
+      if (record.key === GLOBAL_KEY) {
+        this.global = { since: record.since, totals: record.totals };
+      } else {
+        this.meetings.set(record.meetingCode, record);
+      }
+    }
+    console.log(`[AIUsage] Loaded usage for ${this.meetings.size} meeting(s)`);
+  }
+
+  /**
+   * Start fresh accounting for a meeting code (codes are reused after cleanup)
+   */
+  resetMeeting(meetingCode) {
+    this.meetings.delete(meetingCode);
+    if (this.storage) {
+      this.writes.enqueue(meetingCode, () => this.storage.delete(USAGE_COLLECTION, meetingCode)).catch(error => {
+        console.error(`[AIUsage] Failed to reset usage for ${meetingCode}:`, error.message);
+      });
+    }
+  }
+
+  /**
+   * Budget usage for a meeting
+   * @returns {{ tokenBudget, costBudgetUsd, tokensUsed, costUsedUsd, exceeded, reason }}
+   */
+  getBudgetStatus(meetingCode) {
+    const totals = this.meetings.get(meetingCode)?.totals || emptyTotals();
+    let reason = null;
+    if (this.tokenBudget !== null && totals.totalTokens >= this.tokenBudget) {
+      reason = `${totals.totalTokens} of ${this.tokenBudget} tokens used`;
+    } else if (this.costBudgetUsd !== null && totals.estimatedCostUsd >= this.costBudgetUsd) {
+      reason = `$${totals.estimatedCostUsd.toFixed(4)} of $${this.costBudgetUsd} used`;
+    }
+
+    return {
+      tokenBudget: this.tokenBudget,
+      costBudgetUsd: this.costBudgetUsd,
+      tokensUsed: totals.totalTokens,
+      costUsedUsd: totals.estimatedCostUsd,
+      exceeded: reason !== null,
+      reason,
+    };
+  }
+
+  /**
+   * Throw if the meeting has used up its AI budget
+   * @throws {AIBudgetExceededError}
+   */
+  checkBudget(meetingCode) {
+    const status = this.getBudgetStatus(meetingCode);
+    if (status.exceeded) {
+      throw new AIBudgetExceededError(meetingCode, status.reason);
+    }
+  }
+
+  /**
+   * Record one provider call
+   * @param {Object} call
+   * @param {string|null} call.meetingCode - Meeting the call was made for (null for meeting-less calls)
+   * @param {string} call.task - AIService operation name
+   * @param {string} call.provider - Provider name
+   * @param {string} call.model - Model that served the call
+   * @param {'success'|'fallback'|'error'} call.outcome - 'fallback' = served by the provider's fallback model
+   * @param {number} call.promptTokens - Estimated prompt tokens
+   * @param {number} call.responseTokens - Estimated response tokens
+   * @param {number} call.latencyMs
+   * @param {string} [call.error]
+   */
+  record(call) {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      meetingCode: call.meetingCode || null,
+      task: call.task || 'unknown',
+      provider: call.provider,
+      model: call.model,
+      outcome: call.outcome,
+      promptTokens: call.promptTokens,
+      responseTokens: call.responseTokens,
+      latencyMs: call.latencyMs,
+      estimatedCostUsd: call.outcome === 'error' ? 0 : estimateCost(call.model, call.promptTokens, call.responseTokens),
+      error: call.error || null,
+    };
+
+    addCall(this.global.totals, entry);
+    this.recentCalls.push(entry);
+    if (this.recentCalls.length > MAX_RECENT_CALLS) this.recentCalls.shift();
+    this.persist(GLOBAL_KEY, { key: GLOBAL_KEY, ...this.global });
+
+    if (entry.meetingCode) {
+      let usage = this.meetings.get(entry.meetingCode);
+      if (!usage) {
+        usage = { meetingCode: entry.meetingCode, since: entry.timestamp, totals: emptyTotals(), calls: [], budgetExceededAt: null };
+        this.meetings.set(entry.meetingCode, usage);
+      }
+      addCall(usage.totals, entry);
+      usage.calls.push(entry);
+      if (usage.calls.length > MAX_MEETING_CALLS) usage.calls.shift();
+
+      if (!usage.budgetExceededAt && this.getBudgetStatus(entry.meetingCode).exceeded) {
+        usage.budgetExceededAt = entry.timestamp;
+        console.warn(`[AIUsage] Meeting ${entry.meetingCode} reached its AI budget; further calls are disabled`);
+      }
+      this.persist(entry.meetingCode, usage);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Write a usage record to storage (fire-and-forget, in order per key)
+   */
+  persist(key, record) {
+    if (!this.storage) return;
+    this.writes.enqueue(key, () => this.storage.set(USAGE_COLLECTION, key, record)).catch(error => {
+      console.error(`[AIUsage] Failed to persist usage ${key}:`, error.message);
+    });
+  }
+
+  /**
+   * Global totals, the recent call log and a per-meeting overview
+   */
+  getGlobalUsage() {
+    return {
+      since: this.global.since,
+      totals: this.global.totals,
+      budgets: { tokenBudget: this.tokenBudget, costBudgetUsd: this.costBudgetUsd },
+      meetings: Array.from(this.meetings.values()).map(usage => ({
+        meetingCode: usage.meetingCode,
+        since: usage.since,
+        calls: usage.totals.calls,
+        totalTokens: usage.totals.totalTokens,
+        estimatedCostUsd: usage.totals.estimatedCostUsd,
+        budgetExceededAt: usage.budgetExceededAt,
+      })),
+      recentCalls: this.recentCalls,
+    };
+  }
+
+  /**
+   * Full usage for one meeting, or null if it made no calls
+   */
+  getMeetingUsage(meetingCode) {
+    const usage = this.meetings.get(meetingCode);
+    return usage ? { ...usage, budget: this.getBudgetStatus(meetingCode) } : null;
+  }
+}
@@ -0,0 +1,51 @@
+/**
+ * Gemini Provider
+ * Google Gemini via @google/generative-ai, with a one-time fallback model on 404
+ */
+
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import { AIProvider } from './AIProvider.js';
+
+export class GeminiProvider extends AIProvider {
+  constructor({ apiKey, model, fallbackModel = 'gemini-2.0-flash' }) {
+    if (!apiKey) {
+      throw new Error('GEMINI_API_KEY is not set in environment variables');
+    }
+
+    // Use gemini-1.5-flash as primary (more stable availability)
+    // Fallback to gemini-2.0-flash if needed
+    super('gemini', model || 'gemini-1.5-flash');
+    this.genAI = new GoogleGenerativeAI(apiKey);
+    this.fallbackModelName = fallbackModel;
+    this.model = this.genAI.getGenerativeModel({ model: this.primaryModelName });
+    this.countsTokensLocally = false; // countTokens is an API call
+  }
+
+  /**
+   * Count tokens with Gemini's countTokens endpoint for the current model
+   */
+  async countTokens(text) {
+    if (!text) return 0;
+    const { totalTokens } = await this.model.countTokens(text);
+    return totalTokens;
+  }
+
+  async generateText(prompt) {
+    try {
+      const result = await this.model.generateContent(prompt);
+      const text = result.response.text().trim();
+      return text;
+    } catch (err) {
+      // If model not found (e.g., using 1.5 on v1beta), attempt fallback model once
+      const is404 = err && (err.status === 404 || /not found/i.test(err?.statusText || '') || /404/i.test(String(err)));
+      if (is404 && this.modelName !== this.fallbackModelName) {
+        console.warn(`[AIService] Model ${this.modelName} not available. Falling back to ${this.fallbackModelName}`);
+        this.modelName = this.fallbackModelName;
+        this.model = this.genAI.getGenerativeModel({ model: this.fallbackModelName });
+        const retry = await this.model.generateContent(prompt);
+        return retry.response.text().trim();
+      }
+      throw err;
+    }
+  }
+}
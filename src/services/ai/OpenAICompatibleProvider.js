@@ -0,0 +1,83 @@
+/**
+ * OpenAI-Compatible Provider
+ * Any endpoint implementing POST /chat/completions (OpenAI, vLLM, Ollama, LM Studio, ...)
+ *
+ * Tokens are counted locally with OpenAI's BPE vocabularies (gpt-tokenizer):
+ * o200k_base for the GPT-4o generation onwards, cl100k_base otherwise. Models from
+ * other families served through the same API have their own vocabularies, so for
+ * them cl100k_base is a close approximation rather than an exact count.
+ */
+
+import { AIProvider } from './AIProvider.js';
+
+// Matched by model-name prefix; everything else uses cl100k_base
+const O200K_MODEL_PREFIXES = ['gpt-4o', 'gpt-4.1', 'gpt-4.5', 'gpt-5', 'chatgpt-4o', 'o1', 'o3', 'o4'];
+
+/**
+ * BPE encoding name for a model
+ */
+function encodingForModel(modelName) {
+  const name = modelName.toLowerCase().replace(/^openai\//, '');
+  return O200K_MODEL_PREFIXES.some(prefix => name.startsWith(prefix)) ? 'o200k_base' : 'cl100k_base';
+}
+
+export class OpenAICompatibleProvider extends AIProvider {
+  constructor({ baseUrl, apiKey, model, timeoutMs = 60000 }) {
+    if (!baseUrl) {
+      throw new Error('OPENAI_BASE_URL is not set in environment variables');
+    }
+    if (!model) {
+      throw new Error('OPENAI_MODEL is not set in environment variables');
+    }
+
+    super('openai', model);
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.timeoutMs = timeoutMs;
+    this.encoding = null; // { name, countTokens }, loaded on first count
+  }
+
+  /**
+   * Count tokens with the model's BPE vocabulary
+   * Vocabularies are a few MB each, so only the one in use is loaded.
+   */
+  async countTokens(text) {
+    if (!text) return 0;
+    const name = encodingForModel(this.modelName);
+    if (this.encoding?.name !== name) {
+      const { countTokens } = await import(`gpt-tokenizer/encoding/${name}`);
+      this.encoding = { name, countTokens };
+    }
+    return this.encoding.countTokens(text);
+  }
+
+  async generateText(prompt) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(`${this.baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: this.modelName,
+        messages: [{ role: 'user', content: prompt }],
+      }),
+      signal: AbortSignal.timeout(this.timeoutMs),
+    });
+
+    if (!response.ok) {
+      const error = new Error(`OpenAI-compatible endpoint returned ${response.status} ${response.statusText}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    const data = await response.json();
+    const text = data?.choices?.[0]?.message?.content;
+    if (typeof text !== 'string') {
+      throw new Error('OpenAI-compatible endpoint returned no message content');
+    }
+    return text.trim();
+  }
+}
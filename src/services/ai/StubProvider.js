@@ -0,0 +1,44 @@
+/**
+ * Stub Provider
+ * Deterministic offline responses for tests and local development - never calls a network
+ */
+
+import { AIProvider } from './AIProvider.js';
+
+const STUB_RESPONSES = {
+  icebreaker: JSON.stringify({ question: "What's one small thing that made you smile this week?" }),
+  summary: JSON.stringify({
+    discussion: 'This is a stub summary generated offline. No model was called.',
+    fairness: 'Participation metrics are available in the meeting analytics.',
+  }),
+  topicSuggestions: JSON.stringify([
+    { title: 'Recap key points', description: 'Summarize what has been agreed so far' },
+    { title: 'Hear from everyone', description: 'Invite participants who have not spoken yet' },
+    { title: 'Agree next steps', description: 'Turn the discussion into concrete follow-ups' },
+  ]),
+  keyInsights: JSON.stringify([
+    { text: 'Stub insight about participation balance.', color: 'green' },
+    { text: 'Stub insight about discussion quality.', color: 'blue' },
+    { text: 'Stub insight about meeting process.', color: 'purple' },
+  ]),
+  liveNotes: JSON.stringify({
+    decisions: ['Stub decision recorded offline.'],
+    openQuestions: ['Stub open question?'],
+    actionItems: [{ task: 'Stub follow-up task', owner: null }],
+  }),
+  actionItems: JSON.stringify([
+    { description: 'Stub follow-up task', owner: null, dueDate: null, dueText: null, sourceEntry: null },
+  ]),
+  transcriptChunkSummary: '- Stub summary of this transcript segment.',
+  transcriptReduce: '- Stub summary of these transcript segments.',
+};
+
+export class StubProvider extends AIProvider {
+  constructor() {
+    super('stub', 'stub');
+  }
+
+  async generateText(prompt, { task } = {}) {
+    return STUB_RESPONSES[task] ?? 'Stub response.';
+  }
+}
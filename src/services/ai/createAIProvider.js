@@ -0,0 +1,32 @@
+/**
+ * AI provider factory
+ * Selects the text-generation backend from environment configuration
+ *
+ * AI_PROVIDER=gemini (default) | openai | stub
+ *   gemini: GEMINI_API_KEY, GEMINI_MODEL
+ *   openai: OPENAI_BASE_URL, OPENAI_MODEL, OPENAI_API_KEY (optional for local servers)
+ *   stub:   no configuration - deterministic offline responses
+ */
+
+import { GeminiProvider } from './GeminiProvider.js';
+import { OpenAICompatibleProvider } from './OpenAICompatibleProvider.js';
+import { StubProvider } from './StubProvider.js';
+
+export function createAIProvider(env = process.env) {
+  const provider = (env.AI_PROVIDER || 'gemini').toLowerCase();
+
+  switch (provider) {
+    case 'gemini':
+      return new GeminiProvider({ apiKey: env.GEMINI_API_KEY, model: env.GEMINI_MODEL });
+    case 'openai':
+      return new OpenAICompatibleProvider({
+        baseUrl: env.OPENAI_BASE_URL,
+        apiKey: env.OPENAI_API_KEY,
+        model: env.OPENAI_MODEL,
+      });
+    case 'stub':
+      return new StubProvider();
+    default:
+      throw new Error(`Unknown AI_PROVIDER "${provider}" (expected "gemini", "openai" or "stub")`);
+  }
+}
@@ -0,0 +1,51 @@
+/**
+ * Model Pricing
+ * Estimated USD cost per million tokens, used for AI usage accounting
+ *
+ * Overrides (apply to every model):
+ *   AI_COST_PER_MILLION_INPUT_TOKENS
+ *   AI_COST_PER_MILLION_OUTPUT_TOKENS
+ */
+
+// Matched by model-name prefix, most specific first; [input, output] USD per 1M tokens
+const MODEL_PRICES = [
+  ['gemini-2.5-pro', [1.25, 10]],
+  ['gemini-2.5-flash', [0.3, 2.5]],
+  ['gemini-2.0-flash', [0.1, 0.4]],
+  ['gemini-1.5-pro', [1.25, 5]],
+  ['gemini-1.5-flash', [0.075, 0.3]],
+  ['gpt-4o-mini', [0.15, 0.6]],
+  ['gpt-4o', [2.5, 10]],
+  ['gpt-4.1-mini', [0.4, 1.6]],
+  ['gpt-4.1', [2, 8]],
+];
+
+// Unknown models (e.g. self-hosted) are treated as free rather than guessed at
+const DEFAULT_PRICE = [0, 0];
+
+function readPriceEnv(env, name) {
+  if (env[name] === undefined || env[name] === '') return undefined;
+  const value = Number(env[name]);
+  if (!Number.isFinite(value) || value < 0) {
+    throw new Error(`${name} must be a non-negative number`);
+  }
+  return value;
+}
+
+/**
+ * Estimate the cost of one call
+ * @param {string} modelName
+ * @param {number} inputTokens
+ * @param {number} outputTokens
+ * @param {Object} [env=process.env]
+ * @returns {number} Estimated cost in USD
+ */
+export function estimateCost(modelName = '', inputTokens, outputTokens, env = process.env) {
+  const name = modelName.toLowerCase().replace(/^models\//, '');
+  const match = MODEL_PRICES.find(([prefix]) => name.startsWith(prefix));
+  const [inputPrice, outputPrice] = match ? match[1] : DEFAULT_PRICE;
+
+  const input = readPriceEnv(env, 'AI_COST_PER_MILLION_INPUT_TOKENS') ?? inputPrice;
+  const output = readPriceEnv(env, 'AI_COST_PER_MILLION_OUTPUT_TOKENS') ?? outputPrice;
+  return (inputTokens * input + outputTokens * output) / 1e6;
+}
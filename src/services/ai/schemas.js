@@ -0,0 +1,95 @@
+/**
+ * AI Output Schemas
+ * JSON schemas every AIService response is validated against
+ */
+
+export const ICEBREAKER_SCHEMA = {
+  type: 'object',
+  required: ['question'],
+  additionalProperties: false,
+  properties: {
+    question: { type: 'string', minLength: 5, maxLength: 150 },
+  },
+};
+
+export const MEETING_SUMMARY_SCHEMA = {
+  type: 'object',
+  required: ['discussion', 'fairness'],
+  additionalProperties: false,
+  properties: {
+    discussion: { type: 'string', minLength: 1 },
+    fairness: { type: 'string', minLength: 1 },
+  },
+};
+
+export const TOPIC_SUGGESTIONS_SCHEMA = {
+  type: 'array',
+  minItems: 3,
+  maxItems: 3,
+  items: {
+    type: 'object',
+    required: ['title', 'description'],
+    additionalProperties: false,
+    properties: {
+      title: { type: 'string', minLength: 1, maxLength: 100 },
+      description: { type: 'string', minLength: 1, maxLength: 300 },
+    },
+  },
+};
+
+export const KEY_INSIGHTS_SCHEMA = {
+  type: 'array',
+  minItems: 3,
+  maxItems: 3,
+  items: {
+    type: 'object',
+    required: ['text', 'color'],
+    additionalProperties: false,
+    properties: {
+      text: { type: 'string', minLength: 1, maxLength: 300 },
+      color: { type: 'string', enum: ['green', 'blue', 'purple'] },
+    },
+  },
+};
+
+const NOTE_LINE_SCHEMA = { type: 'string', minLength: 1, maxLength: 300 };
+
+export const LIVE_NOTES_SCHEMA = {
+  type: 'object',
+  required: ['decisions', 'openQuestions', 'actionItems'],
+  additionalProperties: false,
+  properties: {
+    decisions: { type: 'array', maxItems: 20, items: NOTE_LINE_SCHEMA },
+    openQuestions: { type: 'array', maxItems: 20, items: NOTE_LINE_SCHEMA },
+    actionItems: {
+      type: 'array',
+      maxItems: 20,
+      items: {
+        type: 'object',
+        required: ['task', 'owner'],
+        additionalProperties: false,
+        properties: {
+          task: NOTE_LINE_SCHEMA,
+          owner: { type: ['string', 'null'], maxLength: 100 },
+        },
+      },
+    },
+  },
+};
+
+export const ACTION_ITEMS_SCHEMA = {
+  type: 'array',
+  maxItems: 50,
+  items: {
+    type: 'object',
+    required: ['description', 'owner', 'dueDate', 'dueText', 'sourceEntry'],
+    additionalProperties: false,
+    properties: {
+      description: { type: 'string', minLength: 1, maxLength: 300 },
+      owner: { type: ['string', 'null'], maxLength: 100 }, // Name as said in the meeting
+      dueDate: { type: ['string', 'null'], maxLength: 10 }, // YYYY-MM-DD, resolved against the meeting date
+      dueText: { type: ['string', 'null'], maxLength: 100 }, // Deadline as phrased, e.g. "by next Friday"
+      sourceEntry: { type: ['integer', 'null'] }, // Transcript line number the item came from
+    },
+  },
+};
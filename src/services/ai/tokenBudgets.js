@@ -0,0 +1,56 @@
+/**
+ * Token Budgets
+ * Per-model context sizes and the share of them AIService may spend on transcript input
+ *
+ * Overrides (all in tokens):
+ *   AI_CONTEXT_TOKENS - model context window
+ *   AI_MAX_INPUT_TOKENS - largest transcript sent in a single prompt
+ *   AI_CHUNK_TOKENS - transcript window size for hierarchical summarization
+ */
+
+// Matched by model-name prefix, most specific first
+const MODEL_CONTEXT_TOKENS = [
+  ['gemini-2.5', 1048576],
+  ['gemini-2.0', 1048576],
+  ['gemini-1.5-pro', 2097152],
+  ['gemini-1.5', 1048576],
+  ['gpt-4.1', 1047576],
+  ['gpt-4o', 128000],
+  ['gpt-4', 8192],
+  ['gpt-3.5', 16385],
+  ['llama3.1', 128000],
+  ['llama3', 8192],
+  ['mistral', 32768],
+  ['stub', 8192],
+];
+
+const DEFAULT_CONTEXT_TOKENS = 8192;
+const INPUT_SHARE = 0.7; // Leave room for instructions and the response
+const CHUNK_SHARE = 0.25; // Map-step windows; keeps each chunk call cheap
+
+function readTokenEnv(env, name) {
+  if (env[name] === undefined || env[name] === '') return undefined;
+  const value = Number(env[name]);
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new Error(`${name} must be a positive integer`);
+  }
+  return value;
+}
+
+/**
+ * Resolve token budgets for a model
+ * @param {string} modelName - Model identifier, e.g. 'gemini-2.5-flash'
+ * @param {Object} [env=process.env]
+ * @returns {{ contextTokens: number, maxInputTokens: number, chunkTokens: number }}
+ */
+export function getTokenBudget(modelName = '', env = process.env) {
+  const name = modelName.toLowerCase().replace(/^models\//, '');
+  const match = MODEL_CONTEXT_TOKENS.find(([prefix]) => name.startsWith(prefix));
+
+  const contextTokens = readTokenEnv(env, 'AI_CONTEXT_TOKENS') ?? (match ? match[1] : DEFAULT_CONTEXT_TOKENS);
+  const maxInputTokens = readTokenEnv(env, 'AI_MAX_INPUT_TOKENS') ?? Math.floor(contextTokens * INPUT_SHARE);
+  const chunkTokens = readTokenEnv(env, 'AI_CHUNK_TOKENS')
+    ?? Math.min(Math.floor(contextTokens * CHUNK_SHARE), maxInputTokens);
+
+  return { contextTokens, maxInputTokens, chunkTokens };
+}
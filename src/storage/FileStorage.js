@@ -0,0 +1,67 @@
+/**
+ * File Storage
+ * Persists each document as a JSON file: <baseDir>/<collection>/<key>.json
+ * Writes go to a temp file first and are renamed into place, so a crash
+ * mid-write never leaves a truncated document behind.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import { StorageAdapter } from './StorageAdapter.js';
+
+export class FileStorage extends StorageAdapter {
+  constructor(baseDir) {
+    super();
+    this.baseDir = baseDir;
+  }
+
+  getFilePath(collection, key) {
+    return path.join(this.baseDir, collection, `${encodeURIComponent(key)}.json`);
+  }
+
+  async get(collection, key) {
+    try {
+      const raw = await fs.readFile(this.getFilePath(collection, key), 'utf8');
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async set(collection, key, value) {
+    const filepath = this.getFilePath(collection, key);
+    const tempPath = `${filepath}.${randomUUID()}.tmp`;
+
+    await fs.mkdir(path.dirname(filepath), { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(value));
+    await fs.rename(tempPath, filepath);
+  }
+
+  async delete(collection, key) {
+    await fs.rm(this.getFilePath(collection, key), { force: true });
+  }
+
+  async list(collection) {
+    const dir = path.join(this.baseDir, collection);
+    let files;
+    try {
+      files = await fs.readdir(dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const documents = [];
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      try {
+        const raw = await fs.readFile(path.join(dir, file), 'utf8');
+        documents.push(JSON.parse(raw));
+      } catch (error) {
+        console.error(`[FileStorage] Skipping unreadable document ${collection}/${file}:`, error.message);
+      }
+    }
+    return documents;
+  }
+}
@@ -0,0 +1,38 @@
+/**
+ * In-Memory Storage
+ * Default adapter - keeps documents in process memory (lost on restart)
+ */
+
+import { StorageAdapter } from './StorageAdapter.js';
+
+export class InMemoryStorage extends StorageAdapter {
+  constructor() {
+    super();
+    this.collections = new Map(); // Map<collection, Map<key, document>>
+  }
+
+  getCollection(collection) {
+    if (!this.collections.has(collection)) {
+      this.collections.set(collection, new Map());
+    }
+    return this.collections.get(collection);
+  }
+
+  async get(collection, key) {
+    const value = this.getCollection(collection).get(key);
+    return value ? structuredClone(value) : null;
+  }
+
+  async set(collection, key, value) {
+    // Round-trip through JSON so stored documents match what a real backend would return
+    this.getCollection(collection).set(key, JSON.parse(JSON.stringify(value)));
+  }
+
+  async delete(collection, key) {
+    this.getCollection(collection).delete(key);
+  }
+
+  async list(collection) {
+    return Array.from(this.getCollection(collection).values()).map(value => structuredClone(value));
+  }
+}
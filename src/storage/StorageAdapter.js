@@ -0,0 +1,47 @@
+/**
+ * Storage Adapter
+ * Base contract for persistence backends used by the services
+ *
+ * Data is organised in named collections of JSON documents keyed by string.
+ * Adapters must store a copy of the value, never the live object.
+ */
+
+export class StorageAdapter {
+  /**
+   * Read a single document
+   * @param {string} collection - Collection name (e.g. 'meetings')
+   * @param {string} key - Document key
+   * @returns {Promise<Object|null>} The stored document or null
+   */
+  async get(collection, key) {
+    throw new Error(`${this.constructor.name}.get() is not implemented`);
+  }
+
+  /**
+   * Create or replace a document
+   * @param {string} collection - Collection name
+   * @param {string} key - Document key
+   * @param {Object} value - JSON-serializable document
+   */
+  async set(collection, key, value) {
+    throw new Error(`${this.constructor.name}.set() is not implemented`);
+  }
+
+  /**
+   * Delete a document (no-op if it doesn't exist)
+   * @param {string} collection - Collection name
+   * @param {string} key - Document key
+   */
+  async delete(collection, key) {
+    throw new Error(`${this.constructor.name}.delete() is not implemented`);
+  }
+
+  /**
+   * List every document in a collection
+   * @param {string} collection - Collection name
+   * @returns {Promise<Object[]>} All stored documents
+   */
+  async list(collection) {
+    throw new Error(`${this.constructor.name}.list() is not implemented`);
+  }
+}
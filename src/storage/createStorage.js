@@ -0,0 +1,28 @@
+/**
+ * Storage factory
+ * Selects the persistence backend from environment configuration
+ *
+ * STORAGE_DRIVER=memory (default) | file
+ * STORAGE_DIR=./data (file driver only)
+ */
+
+import path from 'path';
+import { InMemoryStorage } from './InMemoryStorage.js';
+import { FileStorage } from './FileStorage.js';
+
+export function createStorage(env = process.env) {
+  const driver = (env.STORAGE_DRIVER || 'memory').toLowerCase();
+
+  switch (driver) {
+    case 'memory':
+      console.log('[Storage] Using in-memory storage (data is lost on restart)');
+      return new InMemoryStorage();
+    case 'file': {
+      const baseDir = path.resolve(env.STORAGE_DIR || path.join(process.cwd(), 'data'));
+      console.log(`[Storage] Using file storage at ${baseDir}`);
+      return new FileStorage(baseDir);
+    }
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected "memory" or "file")`);
+  }
+}
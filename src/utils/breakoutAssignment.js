@@ -0,0 +1,27 @@
+/**
+ * Breakout Assignment
+ * Balanced auto-assignment of participants to breakout rooms
+ *
+ * Rooms get equal sizes (differing by at most one), and speaking time so far is
+ * spread across them: participants are dealt out in a snake draft from most to
+ * least talkative, so no room collects all the dominant speakers.
+ */
+
+/**
+ * @param {Array} participants - [{id, speakingTime}]
+ * @param {number} roomCount
+ * @returns {string[][]} Participant IDs per room
+ */
+export function assignBalanced(participants, roomCount) {
+  const rooms = Array.from({ length: roomCount }, () => []);
+  const ordered = [...participants].sort((a, b) => b.speakingTime - a.speakingTime);
+
+  ordered.forEach((participant, i) => {
+    const round = Math.floor(i / roomCount);
+    const offset = i % roomCount;
+    const room = round % 2 === 0 ? offset : roomCount - 1 - offset;
+    rooms[room].push(participant.id);
+  });
+
+  return rooms;
+}
@@ -202,3 +202,160 @@ export function calculateSpeakingPercentage(participantTime, allTimes, excludeHo
   return Math.round((participantTime / total) * 100);
 }
 
+
+/**
+ * Calculate Fairness Trend
+ * Least-squares slope of fairness scores over time
+ * 
+ * @param {Array<{timestamp: number, fairnessScore: number}>} points - Fairness scores (0-100) over time
+ * @param {number} stableBand - Total change (in score points) below which the trend is 'stable'
+ * @returns {object} Trend direction, slope (points per minute) and fitted change over the span
+ */
+export function calculateFairnessTrend(points, stableBand = 5) {
+  if (!points || points.length < 2) {
+    return { direction: 'insufficient_data', slope: 0, change: 0 };
+  }
+  
+  // Work in minutes from the first point to keep numbers readable
+  const origin = points[0].timestamp;
+  const xs = points.map(p => (p.timestamp - origin) / 60000);
+  const ys = points.map(p => p.fairnessScore);
+  const n = points.length;
+  const meanX = xs.reduce((a, b) => a + b, 0) / n;
+  const meanY = ys.reduce((a, b) => a + b, 0) / n;
+  
+  let numerator = 0;
+  let denominator = 0;
+  for (let i = 0; i < n; i++) {
+    numerator += (xs[i] - meanX) * (ys[i] - meanY);
+    denominator += (xs[i] - meanX) ** 2;
+  }
+  
+  const slope = denominator === 0 ? 0 : numerator / denominator;
+  const change = slope * (xs[n - 1] - xs[0]);
+  
+  let direction = 'stable';
+  if (change >= stableBand) {
+    direction = 'improving';
+  } else if (change <= -stableBand) {
+    direction = 'declining';
+  }
+  
+  return { direction, slope, change };
+}
+
+/**
+ * Turn-Taking Network Analysis
+ * Builds a "who speaks after whom" transition matrix from ordered speaking turns
+ * and derives reciprocity, response latency and conversational exclusion
+ * 
+ * Consecutive entries by the same speaker are merged into a single turn.
+ * A transition A → B means B took the floor after A's turn (B responded to A).
+ * 
+ * @param {Array} transcript - Entries with participantId, participantName, startTime, endTime
+ * @param {Array<{id: string, name: string}>} participants - Everyone in the meeting (including silent participants)
+ * @returns {object} Transition matrix and derived turn-taking metrics
+ */
+export function analyzeTurnTaking(transcript, participants = []) {
+  const names = new Map(participants.map(p => [p.id, p.name]));
+  
+  // Order by start time and merge consecutive entries by the same speaker
+  const turns = [];
+  const entries = (transcript || [])
+    .filter(e => e.participantId && e.startTime)
+    .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+  
+  for (const entry of entries) {
+    const start = new Date(entry.startTime).getTime();
+    const end = new Date(entry.endTime || entry.startTime).getTime();
+    if (!names.has(entry.participantId)) names.set(entry.participantId, entry.participantName);
+    
+    const last = turns[turns.length - 1];
+    if (last && last.participantId === entry.participantId) {
+      last.end = Math.max(last.end, end);
+    } else {
+      turns.push({ participantId: entry.participantId, start, end });
+    }
+  }
+  
+  const matrix = {}; // matrix[fromId][toId] = count
+  const latencies = []; // Seconds between the end of one turn and the start of the response
+  const stats = new Map(Array.from(names.keys()).map(id => [id, {
+    turns: 0,
+    responsesReceived: 0, // Times someone spoke after this participant
+    responsesGiven: 0, // Times this participant spoke after someone else
+    latencies: [],
+  }]));
+  
+  turns.forEach(turn => stats.get(turn.participantId).turns++);
+  
+  for (let i = 1; i < turns.length; i++) {
+    const from = turns[i - 1];
+    const to = turns[i];
+    
+    matrix[from.participantId] = matrix[from.participantId] || {};
+    matrix[from.participantId][to.participantId] = (matrix[from.participantId][to.participantId] || 0) + 1;
+    
+    // Negative latency = the responder started before the previous turn ended (overlap)
+    const latency = (to.start - from.end) / 1000;
+    latencies.push(latency);
+    stats.get(from.participantId).responsesReceived++;
+    stats.get(to.participantId).responsesGiven++;
+    stats.get(to.participantId).latencies.push(latency);
+  }
+  
+  // Reciprocity: share of transitions that are matched by a transition in the opposite direction
+  const pairs = [];
+  const ids = Object.keys(matrix);
+  let reciprocated = 0;
+  for (const a of ids) {
+    for (const b of Object.keys(matrix[a])) {
+      if (a >= b && matrix[b]?.[a]) continue; // Count each pair once
+      const ab = matrix[a][b] || 0;
+      const ba = matrix[b]?.[a] || 0;
+      reciprocated += 2 * Math.min(ab, ba);
+      pairs.push({
+        participants: [a, b],
+        names: [names.get(a), names.get(b)],
+        transitions: [ab, ba],
+        reciprocity: Math.min(ab, ba) / Math.max(ab, ba),
+      });
+    }
+  }
+  const totalTransitions = latencies.length;
+  
+  const average = values => values.length ? values.reduce((x, y) => x + y, 0) / values.length : null;
+  const median = values => {
+    if (!values.length) return null;
+    const sorted = [...values].sort((x, y) => x - y);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  };
+  const round = value => value === null ? null : Math.round(value * 100) / 100;
+  
+  const byParticipant = Array.from(stats.entries()).map(([id, s]) => ({
+    participantId: id,
+    participantName: names.get(id),
+    turns: s.turns,
+    responsesReceived: s.responsesReceived,
+    responsesGiven: s.responsesGiven,
+    averageResponseLatency: round(average(s.latencies)),
+  }));
+  
+  return {
+    totalTurns: turns.length,
+    totalTransitions,
+    matrix,
+    reciprocity: totalTransitions ? round(reciprocated / totalTransitions) : null,
+    pairs,
+    responseLatency: {
+      average: round(average(latencies)),
+      median: round(median(latencies)),
+    },
+    // Spoke at least once but nobody ever took the floor after them
+    neverRespondedTo: byParticipant
+      .filter(p => p.turns > 0 && p.responsesReceived === 0)
+      .map(p => ({ participantId: p.participantId, participantName: p.participantName, turns: p.turns })),
+    byParticipant,
+  };
+}
@@ -0,0 +1,43 @@
+/**
+ * Long-Turn Policy
+ * Tiered escalation for participants who hold the floor too long
+ *
+ * Each level fires once per turn, when continuous speaking time reaches
+ * threshold × multiplier. A per-participant cooldown spaces escalations out,
+ * including the first hint of a new turn right after a previous long turn.
+ */
+
+import { detectLongTurn } from './fairnessMetrics.js';
+
+export const LONG_TURN_LEVELS = [
+  { level: 1, name: 'hint', multiplier: 1, template: 'long_turn_hint' }, // Private hint to the speaker
+  { level: 2, name: 'moderator_alert', multiplier: 2, template: 'long_turn_moderator_alert' }, // Alert the moderator
+  { level: 3, name: 'visible_indicator', multiplier: 3, template: 'long_turn_visible' }, // Indicator shown to the room
+];
+
+/**
+ * Decide whether a speaker should escalate to the next long-turn level
+ *
+ * @param {Object} state - Participant state
+ * @param {number} state.continuousSpeakingTime - Current continuous speaking time in seconds
+ * @param {number} state.longTurnLevel - Highest level already reached this turn (0 = none)
+ * @param {number|null} state.lastLongTurnAt - Timestamp (ms) of the last escalation
+ * @param {Object} policy - Policy settings
+ * @param {number} policy.threshold - Base long-turn threshold in seconds
+ * @param {number} policy.cooldown - Minimum seconds between escalations
+ * @param {number} policy.maxLevel - Highest level to escalate to (1-3)
+ * @param {number} now - Current timestamp in ms
+ * @returns {Object|null} The level to escalate to, or null
+ */
+export function evaluateLongTurn(state, policy, now) {
+  const currentLevel = state.longTurnLevel || 0;
+  const next = LONG_TURN_LEVELS[currentLevel];
+  if (!next || next.level > policy.maxLevel) return null;
+
+  const { isLongTurn } = detectLongTurn(state.continuousSpeakingTime, policy.threshold * next.multiplier);
+  if (!isLongTurn) return null;
+
+  if (state.lastLongTurnAt && now - state.lastLongTurnAt < policy.cooldown * 1000) return null;
+
+  return next;
+}
@@ -0,0 +1,37 @@
+/**
+ * Participant Name Matching
+ * Resolves a name as spoken or written (e.g. by a model) to a meeting participant
+ */
+
+function normalize(name) {
+  return name.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '').replace(/[^\p{L}\p{N} ]/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Match a name against the participant list
+ * Tries, in order: exact (case/accent-insensitive) name, unique first-name match,
+ * unique match on any name part. Ambiguous names are left unmatched.
+ * @param {string|null} name - Name to resolve
+ * @param {Array<{id: string, name: string}>} participants
+ * @returns {{id: string, name: string}|null}
+ */
+export function matchParticipant(name, participants) {
+  if (!name) return null;
+  const query = normalize(name);
+  if (!query) return null;
+
+  const candidates = participants.map(p => ({ participant: p, normalized: normalize(p.name) }));
+
+  const exact = candidates.filter(c => c.normalized === query);
+  if (exact.length === 1) return exact[0].participant;
+
+  const queryFirst = query.split(' ')[0];
+  const byFirstName = candidates.filter(c => c.normalized.split(' ')[0] === queryFirst);
+  if (byFirstName.length === 1) return byFirstName[0].participant;
+
+  const queryParts = new Set(query.split(' '));
+  const byAnyPart = candidates.filter(c => c.normalized.split(' ').some(part => queryParts.has(part)));
+  if (byAnyPart.length === 1) return byAnyPart[0].participant;
+
+  return null;
+}
@@ -0,0 +1,66 @@
+/**
+ * Roles and Permissions
+ * Every privileged socket handler checks the acting participant's role against
+ * this table. Roles are ranked so promotions and demotions have a direction.
+ *
+ *   moderator    - Exactly one per meeting (meeting.hostId); owns the meeting
+ *   co_moderator - Runs the meeting alongside the moderator
+ *   participant  - Regular attendee
+ *   observer     - Present but not taking part (e.g. a researcher taking notes)
+ */
+
+export const ROLES = ['observer', 'participant', 'co_moderator', 'moderator']; // Ascending rank
+
+// Roles that hold a signed host token
+export const PRIVILEGED_ROLES = ['moderator', 'co_moderator'];
+
+const ROLE_LABELS = {
+  moderator: 'moderator',
+  co_moderator: 'co-moderators',
+  participant: 'participants',
+  observer: 'observers',
+};
+
+export const PERMISSIONS = {
+  raiseHand: ['moderator', 'co_moderator', 'participant'],
+  sendNudge: ['moderator', 'co_moderator', 'participant'],
+  manageQueue: ['moderator', 'co_moderator'], // Remove others, reorder, turn modes and speaking slots
+  manageAgenda: ['moderator', 'co_moderator'],
+  manageBreakouts: ['moderator', 'co_moderator'], // Open and close breakout rooms
+  runIcebreaker: ['moderator', 'co_moderator'],
+  startMetrics: ['moderator', 'co_moderator'],
+  receiveModeratorAlerts: ['moderator', 'co_moderator'],
+  updateSettings: ['moderator'],
+  manageRoles: ['moderator'],
+  endMeeting: ['moderator'],
+};
+
+/**
+ * Check whether a role grants a permission
+ */
+export function hasPermission(role, permission) {
+  return (PERMISSIONS[permission] || []).includes(role);
+}
+
+/**
+ * Whether a permission needs a host token (it is not granted to regular participants)
+ */
+export function requiresHostToken(permission) {
+  return !hasPermission('participant', permission);
+}
+
+/**
+ * Rank of a role (higher = more privileged), -1 if unknown
+ */
+export function roleRank(role) {
+  return ROLES.indexOf(role);
+}
+
+/**
+ * Error message for a denied action, e.g. "Only moderator and co-moderators can reorder queue"
+ */
+export function permissionDeniedMessage(permission, action) {
+  const labels = (PERMISSIONS[permission] || ['moderator']).map(role => ROLE_LABELS[role]);
+  const who = labels.length > 1 ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}` : labels[0];
+  return `Only ${who} can ${action}`;
+}
@@ -0,0 +1,138 @@
+/**
+ * Queue Ordering
+ * Orders the hand-raise queue and explains each position
+ *
+ * Direct replies (responding to what is being discussed) go ahead of new points.
+ * Outside equity mode the queue keeps its current order: hands are inserted in
+ * place as they are raised and the moderator may reorder them. In equity mode the
+ * queue is re-ranked: direct replies first, then new points by who has spoken
+ * least - a weighted score of speaking time, turn count and how recently the
+ * participant last spoke, each relative to the others waiting.
+ */
+
+export const HAND_KINDS = ['new_point', 'direct_reply'];
+
+// Lower weighted score goes first; ties fall back to hand-raise order
+const EQUITY_WEIGHTS = {
+  speakingTime: 0.5,
+  turnCount: 0.3,
+  recency: 0.2,
+};
+
+function formatSeconds(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  const rest = Math.round(seconds % 60);
+  return minutes > 0 ? `${minutes}m ${rest}s` : `${rest}s`;
+}
+
+/**
+ * Scale a value to 0-1 relative to the largest value among the candidates
+ */
+function relative(value, max) {
+  return max > 0 ? value / max : 0;
+}
+
+/**
+ * Weighted equity components for each new-point candidate
+ * Recency is 1 for whoever spoke most recently and 0 for someone who hasn't spoken at all.
+ */
+function scoreCandidates(candidates, now) {
+  const sinceLastTurn = c => (c.lastSpokeAt ? Math.max(0, now - c.lastSpokeAt) : null);
+  const maxSpeaking = Math.max(0, ...candidates.map(c => c.speakingTime));
+  const maxTurns = Math.max(0, ...candidates.map(c => c.turnCount));
+  const maxSince = Math.max(0, ...candidates.map(c => sinceLastTurn(c) ?? 0));
+
+  return candidates.map(c => {
+    const since = sinceLastTurn(c);
+    const components = {
+      speakingTime: EQUITY_WEIGHTS.speakingTime * relative(c.speakingTime, maxSpeaking),
+      turnCount: EQUITY_WEIGHTS.turnCount * relative(c.turnCount, maxTurns),
+      recency: since === null ? 0 : EQUITY_WEIGHTS.recency * (maxSince > 0 ? 1 - since / maxSince : 1),
+    };
+    return {
+      ...c,
+      components,
+      score: components.speakingTime + components.turnCount + components.recency,
+      factors: {
+        speakingTime: Math.round(c.speakingTime),
+        turnCount: c.turnCount,
+        secondsSinceLastTurn: since === null ? null : Math.round(since / 1000),
+      },
+    };
+  });
+}
+
+/**
+ * Explain an equity position relative to the participant just ahead in line
+ */
+function equityReason(entry, ahead, count) {
+  if (!ahead) {
+    if (entry.turnCount === 0 && entry.speakingTime === 0) return "Hasn't spoken yet";
+    if (count === 1) return 'Only new point waiting';
+    return `Has spoken least among those waiting (${formatSeconds(entry.speakingTime)} over ${entry.turnCount} turn${entry.turnCount === 1 ? '' : 's'})`;
+  }
+
+  // The component where this participant trails the one ahead by the most
+  const [factor, gap] = Object.keys(EQUITY_WEIGHTS)
+    .map(key => [key, entry.components[key] - ahead.components[key]])
+    .sort((a, b) => b[1] - a[1])[0];
+
+  if (gap <= 0) return `Raised hand after ${ahead.name}`;
+  if (factor === 'speakingTime') {
+    return `Has spoken more than ${ahead.name} (${formatSeconds(entry.speakingTime)} vs ${formatSeconds(ahead.speakingTime)})`;
+  }
+  if (factor === 'turnCount') {
+    return `Has taken more turns than ${ahead.name} (${entry.turnCount} vs ${ahead.turnCount})`;
+  }
+  return `Spoke more recently than ${ahead.name} (${formatSeconds(entry.factors.secondsSinceLastTurn)} ago)`;
+}
+
+/**
+ * Order queued participants
+ *
+ * @param {Array} candidates - Queued participants, in current queue order
+ * @param {string} candidates[].id
+ * @param {string} candidates[].name
+ * @param {string} candidates[].kind - One of HAND_KINDS
+ * @param {boolean} candidates[].placedByModerator - Position set by a manual reorder
+ * @param {number} candidates[].handRaisedAt - Timestamp (ms) the hand went up
+ * @param {number} candidates[].speakingTime - Total speaking time in seconds
+ * @param {number} candidates[].turnCount
+ * @param {number|null} candidates[].lastSpokeAt - Timestamp (ms) of their last speech
+ * @param {Object} options
+ * @param {boolean} options.equity - Re-rank by who has spoken least instead of keeping the current order
+ * @param {number} options.now - Current timestamp in ms
+ * @returns {Array} [{id, reason, factors}] in queue order (factors only in equity mode)
+ */
+export function orderQueue(candidates, { equity, now }) {
+  if (!equity) {
+    return candidates.map(c => ({
+      id: c.id,
+      reason: c.placedByModerator
+        ? 'Placed by the moderator'
+        : (c.kind === 'direct_reply' ? 'Direct reply - goes ahead of new points' : 'In order of raised hands'),
+      factors: null,
+    }));
+  }
+
+  const byRaise = (a, b) => a.handRaisedAt - b.handRaisedAt;
+  const replies = candidates.filter(c => c.kind === 'direct_reply').sort(byRaise);
+  const points = candidates.filter(c => c.kind !== 'direct_reply').sort(byRaise);
+
+  const ordered = replies.map(c => ({
+    id: c.id,
+    reason: 'Direct reply - goes ahead of new points',
+    factors: null,
+  }));
+
+  // Array.prototype.sort is stable, so equal scores keep hand-raise order
+  const scored = scoreCandidates(points, now).sort((a, b) => a.score - b.score);
+  return [
+    ...ordered,
+    ...scored.map((entry, i) => ({
+      id: entry.id,
+      reason: equityReason(entry, scored[i - 1], scored.length),
+      factors: entry.factors,
+    })),
+  ];
+}
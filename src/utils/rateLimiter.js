@@ -0,0 +1,51 @@
+/**
+ * Sliding-window rate limiter
+ * Allows at most `limit` hits per key within any `windowMs` period
+ */
+
+export class RateLimiter {
+  /**
+   * @param {Object} options
+   * @param {number} options.limit - Maximum hits per window
+   * @param {number} options.windowMs - Window length in milliseconds
+   */
+  constructor({ limit, windowMs }) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.hits = new Map(); // key -> ascending hit timestamps within the window
+  }
+
+  /**
+   * Drop hits that fell out of the window and return the remaining ones
+   */
+  prune(key, now) {
+    const hits = this.hits.get(key);
+    if (!hits) return [];
+
+    while (hits.length > 0 && hits[0] <= now - this.windowMs) {
+      hits.shift();
+    }
+    if (hits.length === 0) {
+      this.hits.delete(key);
+    }
+    return hits;
+  }
+
+  /**
+   * Milliseconds until the key may be hit again (0 if allowed now)
+   */
+  retryAfter(key, now = Date.now()) {
+    const hits = this.prune(key, now);
+    if (hits.length < this.limit) return 0;
+    return hits[hits.length - this.limit] + this.windowMs - now;
+  }
+
+  /**
+   * Record a hit for the key
+   */
+  hit(key, now = Date.now()) {
+    const hits = this.prune(key, now);
+    hits.push(now);
+    this.hits.set(key, hits);
+  }
+}
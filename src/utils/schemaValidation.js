@@ -0,0 +1,150 @@
+/**
+ * JSON Schema Validation
+ * Minimal validator for the JSON Schema subset used by AI output schemas:
+ * type, properties, required, additionalProperties, items, minItems, maxItems,
+ * enum, minLength, maxLength
+ */
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON schema (supported subset)
+ * @param {string} [path] - Path used in error messages
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateSchema(value, schema, path = '$') {
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${path} must be of type ${types.join(' or ')}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must contain at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must contain at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+      }
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!schema.properties || !(key in schema.properties)) {
+          errors.push(`${path}.${key} is not allowed`);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Apply safe repairs so near-miss model output can pass validation:
+ * trims strings, drops unknown properties and cuts arrays down to maxItems
+ * @param {*} value - Parsed value
+ * @param {Object} schema - JSON schema
+ * @returns {*} Repaired copy
+ */
+export function repairToSchema(value, schema) {
+  if (typeof value === 'string') {
+    return value.trim();
+  }
+
+  if (Array.isArray(value)) {
+    let items = schema.items ? value.map(item => repairToSchema(item, schema.items)) : [...value];
+    if (schema.maxItems !== undefined && items.length > schema.maxItems) {
+      items = items.slice(0, schema.maxItems);
+    }
+    return items;
+  }
+
+  if (typeOf(value) === 'object') {
+    const repaired = {};
+    for (const [key, item] of Object.entries(value)) {
+      const propertySchema = schema.properties?.[key];
+      if (propertySchema) {
+        repaired[key] = repairToSchema(item, propertySchema);
+      } else if (schema.additionalProperties !== false) {
+        repaired[key] = item;
+      }
+    }
+    return repaired;
+  }
+
+  return value;
+}
+
+/**
+ * Extract JSON from model output
+ * Handles markdown code fences, surrounding prose and trailing commas
+ * @param {string} text - Raw model output
+ * @returns {*} Parsed value
+ * @throws {SyntaxError} If no JSON can be recovered
+ */
+export function extractJson(text) {
+  let candidate = text.trim();
+
+  const fenced = candidate.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  if (fenced) {
+    candidate = fenced[1].trim();
+  }
+
+  try {
+    return JSON.parse(candidate);
+  } catch {
+    // Fall through to extraction of the outermost object/array
+  }
+
+  const start = candidate.search(/[[{]/);
+  const end = Math.max(candidate.lastIndexOf(']'), candidate.lastIndexOf('}'));
+  if (start === -1 || end <= start) {
+    throw new SyntaxError('No JSON found in model output');
+  }
+
+  const sliced = candidate.slice(start, end + 1).replace(/,\s*([}\]])/g, '$1');
+  return JSON.parse(sliced);
+}
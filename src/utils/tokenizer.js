@@ -0,0 +1,60 @@
+/**
+ * Token Estimation
+ * Approximates subword (BPE-style) token counts without shipping a model vocabulary.
+ * Providers count with their own tokenizer; this estimate serves the offline stub
+ * provider and stands in when a provider's count fails.
+ *
+ * Text is pre-tokenized the way GPT/Gemini-family tokenizers split input
+ * (words with their leading space, digit runs, punctuation runs, whitespace),
+ * then each piece is costed by the rules those vocabularies follow in practice:
+ * - common short words are a single token; longer words split into ~5-char pieces
+ * - digits are grouped in threes
+ * - CJK and other non-space-delimited scripts cost about one token per character
+ */
+
+const PRETOKENIZE_PATTERN = /'(?:s|t|re|ve|m|ll|d)| ?\p{L}+| ?\p{N}+| ?[^\s\p{L}\p{N}]+|\s+/gu;
+const DENSE_SCRIPT_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Thai}]/u;
+
+const SINGLE_TOKEN_WORD_LENGTH = 6; // Most English words up to this length are one token
+const CHARS_PER_WORD_PIECE = 5;
+const DIGITS_PER_TOKEN = 3;
+const CHARS_PER_SYMBOL_TOKEN = 2;
+
+/**
+ * Estimate the token cost of one pre-tokenized piece
+ */
+function pieceTokens(piece) {
+  const body = piece.startsWith(' ') ? piece.slice(1) : piece;
+  if (body.length === 0) return 1;
+
+  if (/^\s+$/.test(piece)) {
+    return 1;
+  }
+  if (/^\p{N}+$/u.test(body)) {
+    return Math.ceil(body.length / DIGITS_PER_TOKEN);
+  }
+  if (/^\p{L}+$/u.test(body)) {
+    if (DENSE_SCRIPT_PATTERN.test(body)) {
+      return body.length;
+    }
+    if (body.length <= SINGLE_TOKEN_WORD_LENGTH) return 1;
+    return Math.ceil(body.length / CHARS_PER_WORD_PIECE);
+  }
+  // Punctuation/symbol runs: common pairs ("?!", "--", "**") merge, others don't
+  return Math.ceil(body.length / CHARS_PER_SYMBOL_TOKEN);
+}
+
+/**
+ * Estimate the number of model tokens in a text
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokenCount(text) {
+  if (!text) return 0;
+
+  let tokens = 0;
+  for (const [piece] of text.matchAll(PRETOKENIZE_PATTERN)) {
+    tokens += pieceTokens(piece);
+  }
+  return tokens;
+}
@@ -0,0 +1,86 @@
+/**
+ * Signed tokens (HMAC-SHA256)
+ * Compact `<base64url payload>.<base64url signature>` tokens used to prove
+ * meeting roles without trusting client-supplied names or IDs.
+ *
+ * The secret comes from TOKEN_SECRET. Without it a random per-process secret is
+ * used, which means tokens stop validating after a restart.
+ */
+
+import crypto from 'crypto';
+
+let cachedSecret = null;
+
+/**
+ * Resolve the signing secret lazily so dotenv has loaded before first use
+ */
+function getSecret() {
+  if (!cachedSecret) {
+    if (process.env.TOKEN_SECRET) {
+      cachedSecret = process.env.TOKEN_SECRET;
+    } else {
+      console.warn('[Tokens] TOKEN_SECRET is not set; using a random secret (tokens will not survive restarts)');
+      cachedSecret = crypto.randomBytes(32).toString('hex');
+    }
+  }
+  return cachedSecret;
+}
+
+function sign(data) {
+  return crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+}
+
+/**
+ * Create a signed token
+ * @param {Object} payload - JSON-serializable claims
+ * @param {number} [ttlSeconds] - Optional lifetime; adds an `exp` claim
+ * @returns {string} Signed token
+ */
+export function signToken(payload, ttlSeconds) {
+  const claims = { ...payload, iat: Date.now() };
+  if (ttlSeconds) {
+    claims.exp = claims.iat + ttlSeconds * 1000;
+  }
+  const data = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return `${data}.${sign(data)}`;
+}
+
+/**
+ * Verify a token's signature and expiry
+ * @param {string} token - Token produced by signToken()
+ * @returns {Object|null} The claims if valid, null otherwise
+ */
+export function verifyToken(token) {
+  if (typeof token !== 'string') return null;
+
+  const [data, signature] = token.split('.');
+  if (!data || !signature) return null;
+
+  const expected = Buffer.from(sign(data));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+    if (claims.exp && Date.now() > claims.exp) return null;
+    return claims;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Check a static admin token against ADMIN_TOKEN (constant-time)
+ * @returns {boolean} False when ADMIN_TOKEN is not configured
+ */
+export function isAdminToken(token) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken || typeof token !== 'string') return false;
+
+  // Compare digests so differing lengths don't short-circuit the comparison
+  const expected = crypto.createHash('sha256').update(adminToken).digest();
+  const actual = crypto.createHash('sha256').update(token).digest();
+  return crypto.timingSafeEqual(expected, actual);
+}
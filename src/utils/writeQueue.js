@@ -0,0 +1,37 @@
+/**
+ * Per-key write queue
+ * Storage writes for the same key run one after another, so an older snapshot can
+ * never land after a newer one (FileStorage writes go through temp files and
+ * renames that may otherwise finish out of order). Writes to different keys still
+ * run concurrently.
+ */
+
+export class KeyedWriteQueue {
+  constructor() {
+    this.tails = new Map(); // key -> promise settling when the key's last queued write has
+  }
+
+  /**
+   * Run a write once every earlier write for the same key has settled
+   * @param {string} key
+   * @param {Function} write - () => Promise
+   * @returns {Promise} Settles like the write itself
+   */
+  enqueue(key, write) {
+    const previous = this.tails.get(key) || Promise.resolve();
+    const run = previous.then(() => write());
+    const tail = run.catch(() => {}); // A failed write doesn't block the ones after it
+    this.tails.set(key, tail);
+    tail.then(() => {
+      if (this.tails.get(key) === tail) this.tails.delete(key);
+    });
+    return run;
+  }
+
+  /**
+   * Wait until every write queued so far has settled
+   */
+  async settled() {
+    await Promise.all(Array.from(this.tails.values()));
+  }
+}